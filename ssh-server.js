@@ -1,10 +1,12 @@
 const express = require("express");
 const http = require("http");
+const net = require("net");
 const { Server } = require("socket.io");
 const ssh2 = require("ssh2");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { StringDecoder } = require("string_decoder");
 require("dotenv").config();
 
 const app = express();
@@ -24,33 +26,330 @@ const io = new Server(server, {
 const sshConnections = new Map();
 const socketToSession = new Map();
 
-// Command Queue Implementation - functional approach with closure for state
-const createCommandQueue = (maxConcurrent = 3, delayBetweenCommands = 300) => {
-  let queue = [];
+// Client events take an optional payload and an optional ack. The handler
+// always gets an object and a reply function, and a throw or rejection is
+// answered instead of taking the process down
+const onClientEvent = (socket, eventName, handler) => {
+  socket.on(eventName, (...args) => {
+    const callback = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    const data = args[0] && typeof args[0] === "object" ? args[0] : {};
+    const reply = callback || (() => {});
+
+    const fail = (err) => {
+      console.error(`${socket.id}: ${eventName} failed: ${err.message}`);
+      reply({ error: err.message });
+    };
+
+    try {
+      const result = handler(data, reply);
+      if (result && typeof result.then === "function") {
+        result.catch(fail);
+      }
+    } catch (err) {
+      fail(err);
+    }
+  });
+};
+
+// Command priorities, lower runs first: commands typed by the user beat batches,
+// which beat background work such as initialization and refresh helpers
+const COMMAND_PRIORITIES = { interactive: 0, normal: 1, background: 2 };
+const COMMAND_PRIORITY_AGING_MS = 10000; // Each 10s of waiting raises an item one level
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS) || 0; // 0 = commands may run forever
+const COMMAND_KILL_GRACE_MS = 2000; // Time a signalled command gets before its channel is closed
+// Signal names an exec channel may carry (RFC 4254 section 6.10)
+const EXEC_SIGNALS = ["ABRT", "ALRM", "FPE", "HUP", "ILL", "INT", "KILL", "PIPE", "QUIT", "SEGV", "TERM", "USR1", "USR2"];
+
+// Bytes of stdout and of stderr kept per command; the rest is only counted.
+// Clients that need everything should ask for `stream: true`
+const COMMAND_OUTPUT_MAX_BYTES = parseInt(process.env.COMMAND_OUTPUT_MAX_BYTES) || 1024 * 1024;
+
+// Keeps the head of an output stream up to `maxBytes` and counts what was dropped
+const createOutputCollector = (maxBytes) => {
+  const chunks = [];
+  let keptBytes = 0;
+  let totalBytes = 0;
+
+  return {
+    push: (data) => {
+      totalBytes += data.length;
+      if (keptBytes < maxBytes) {
+        const kept = data.subarray(0, maxBytes - keptBytes);
+        chunks.push(kept);
+        keptBytes += kept.length;
+      }
+    },
+    totalBytes: () => totalBytes,
+    truncated: () => totalBytes > keptBytes,
+    text: () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      const omitted = totalBytes - keptBytes;
+      return omitted > 0 ? `${text}\n[output truncated: ${omitted} more bytes]\n` : text;
+    },
+  };
+};
+
+const normalizeSignal = (signal) => {
+  if (!signal) return null;
+  const name = String(signal).toUpperCase().replace(/^SIG/, "");
+  return EXEC_SIGNALS.includes(name) ? name : undefined;
+};
+
+// Command Queue Implementation - functional approach with closure for state.
+// Slots are shared fairly: every session and every remote host may only hold a
+// few of them, and sessions take turns when their items have the same priority
+const createCommandQueue = ({
+  maxConcurrent = 8,
+  maxPerSession = 3,
+  maxPerHost = 4,
+  delayBetweenCommands = 300,
+  onStateChange = () => {},
+} = {}) => {
+  const sessionQueues = new Map(); // sessionId -> queued items in arrival order
+  const runningItems = new Set();
+  const runningPerSession = new Map();
+  const runningPerHost = new Map();
+  const lastServed = new Map(); // sessionId -> turn at which it last got a slot
   let running = 0;
+  let sequence = 0;
+  let turn = 0;
+
+  const adjustCount = (counts, key, delta) => {
+    const value = (counts.get(key) || 0) + delta;
+    if (value > 0) {
+      counts.set(key, value);
+    } else {
+      counts.delete(key);
+    }
+  };
+
+  const formatItem = (item, state) => ({
+    executionId: item.executionId,
+    command: item.command,
+    priority: item.priorityName,
+    background: item.background,
+    state,
+    queuedAt: item.queuedAt,
+    startedAt: item.startedAt || null,
+  });
+
+  const getSessionState = (sessionId) => {
+    const queued = sessionQueues.get(sessionId) || [];
+    const active = [...runningItems].filter((item) => item.sessionId === sessionId);
+
+    return {
+      sessionId,
+      queued: queued.length,
+      running: active.length,
+      items: [...active.map((item) => formatItem(item, "running")), ...queued.map((item) => formatItem(item, "queued"))],
+    };
+  };
+
+  const notify = (sessionId) => {
+    try {
+      onStateChange(sessionId, getSessionState(sessionId));
+    } catch (err) {
+      console.error(`Command Queue: Error reporting state for ${sessionId}: ${err.message}`);
+    }
+  };
+
+  // Result schema shared by single commands and batch steps; `output` and
+  // `errorOutput` mirror stdout/stderr for clients written before it existed
+  const formatResult = (item, { status, exitCode = null, signal = null, stdout = null, stderr = null, error = null }) => {
+    if (status === "timeout") {
+      error = `Command timed out after ${item.timeoutMs}ms`;
+    } else if (status === "cancelled") {
+      error = "Command cancelled";
+    }
+
+    const stdoutText = stdout ? stdout.text() : "";
+    const stderrText = stderr ? stderr.text() : "";
+
+    return {
+      executionId: item.executionId,
+      streamId: item.streamId || null,
+      command: item.command,
+      status,
+      exitCode,
+      signal,
+      stdout: stdoutText,
+      stderr: stderrText,
+      stdoutBytes: stdout ? stdout.totalBytes() : 0,
+      stderrBytes: stderr ? stderr.totalBytes() : 0,
+      startedAt: item.startedAt ? item.startedAt.toISOString() : null,
+      durationMs: item.startedAt ? Date.now() - item.startedAt.getTime() : 0,
+      truncated: !!((stdout && stdout.truncated()) || (stderr && stderr.truncated())),
+      error,
+      output: stdoutText,
+      errorOutput: stderrText,
+      timedOut: status === "timeout",
+      cancelled: status === "cancelled",
+      background: item.background,
+    };
+  };
+
+  const settleCancelled = (item) => {
+    if (typeof item.callback === "function") {
+      item.callback(formatResult(item, { status: "cancelled" }));
+    }
+  };
+
+  // Waiting long enough lifts background work so it can't starve forever
+  const getRank = (item, now) => [
+    item.priority - Math.floor((now - item.queuedAt) / COMMAND_PRIORITY_AGING_MS),
+    lastServed.get(item.sessionId) || 0,
+    item.sequence,
+  ];
+
+  const isBefore = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return a[i] < b[i];
+    }
+    return false;
+  };
+
+  // Most urgent item among sessions and hosts that still have a free slot
+  const pickNext = () => {
+    const now = Date.now();
+    let best = null;
+    let bestRank = null;
+
+    for (const [sessionId, items] of sessionQueues) {
+      if ((runningPerSession.get(sessionId) || 0) >= maxPerSession) continue;
+      if ((runningPerHost.get(items[0].hostKey) || 0) >= maxPerHost) continue;
+
+      for (const item of items) {
+        const rank = getRank(item, now);
+        if (!best || isBefore(rank, bestRank)) {
+          best = item;
+          bestRank = rank;
+        }
+      }
+    }
+
+    return best;
+  };
+
+  const dequeue = (item) => {
+    const items = sessionQueues.get(item.sessionId);
+    items.splice(items.indexOf(item), 1);
+    if (items.length === 0) {
+      sessionQueues.delete(item.sessionId);
+    }
+  };
 
   const processQueue = () => {
-    if (queue.length === 0 || running >= maxConcurrent) {
-      return;
+    while (running < maxConcurrent) {
+      const item = pickNext();
+      if (!item) return;
+
+      dequeue(item);
+      runItem(item);
     }
+  };
+
+  const runItem = (item) => {
+    const { connection, command, callback, socket, sessionId, socketId, background, executionId } = item;
 
     running++;
-    const { connection, command, callback, socket, sessionId, socketId, background = false } = queue.shift();
+    adjustCount(runningPerSession, sessionId, 1);
+    adjustCount(runningPerHost, item.hostKey, 1);
+    lastServed.set(sessionId, ++turn);
+    item.startedAt = new Date();
+    item.streamId = crypto.randomBytes(8).toString("hex");
+    runningItems.add(item);
+    notify(sessionId);
+
+    // Ask the remote process to stop, and close the channel if it ignores the signal
+    const terminate = () => {
+      const { stream } = item;
+      clearTimeout(item.killTimer);
+
+      if (!item.stopSignal) {
+        stream.close();
+        return;
+      }
+
+      try {
+        stream.signal(item.stopSignal);
+      } catch (err) {
+        console.error(`${socketId}: Failed to send ${item.stopSignal} to ${executionId}: ${err.message}`);
+      }
+      item.killTimer = setTimeout(() => stream.close(), COMMAND_KILL_GRACE_MS);
+    };
 
-    // Track if command background
-    if (connection && connection.sshStream) {
-      console.log(`${socketId}: Setting background flag to ${background} for command`);
-      connection.runningBackgroundCommand = background;
+    // Cancellation and timeouts both end up here; a later call may escalate the signal
+    item.stop = (reason, signal) => {
+      item.stopReason = item.stopReason || reason;
+      item.stopSignal = signal || null;
+      if (item.stream) {
+        terminate();
+      }
+    };
+
+    if (item.timeoutMs > 0) {
+      item.timeoutTimer = setTimeout(() => {
+        console.log(`${socketId}: Command ${executionId} timed out after ${item.timeoutMs}ms`);
+        item.stop("timeout", "TERM");
+      }, item.timeoutMs);
     }
 
+    // Live chunks are numbered per execution so clients can spot gaps and reorder
+    const streaming = !background && socket && item.streamOutput;
+    item.seq = 0;
+
+    // Report the result once, whichever of close/error/exception comes first
+    let settled = false;
+    const finish = (result, status = "completed") => {
+      if (settled) return;
+      settled = true;
+      runningItems.delete(item);
+      clearTimeout(item.timeoutTimer);
+      clearTimeout(item.killTimer);
+
+      const formatted = formatResult(item, { ...result, status: item.stopReason || status });
+
+      // Tell streaming clients that no further chunks will follow
+      if (streaming) {
+        socket.emit("command-output-stream", {
+          executionId,
+          streamId: item.streamId,
+          seq: item.seq++,
+          partial: false,
+          done: true,
+          status: formatted.status,
+          exitCode: formatted.exitCode,
+          truncated: formatted.truncated,
+        });
+      }
+
+      if (typeof callback === "function") {
+        callback(formatted);
+      }
+    };
+
+    // Release this slot, after a brief delay to avoid overwhelming the SSH server
+    let released = false;
+    const release = (delay) => {
+      if (released) return;
+      released = true;
+      setTimeout(() => {
+        running--;
+        adjustCount(runningPerSession, sessionId, -1);
+        adjustCount(runningPerHost, item.hostKey, -1);
+        notify(sessionId);
+        processQueue();
+      }, delay);
+    };
+
     // Only log foreground commands or if debugging
     if (!background) {
       console.log(
-        `Command Queue: Processing command: ${command} (running: ${running}, queued: ${queue.length})`
+        `Command Queue: Processing command: ${command} (running: ${running}, session ${sessionId}: ${runningPerSession.get(sessionId)})`
       );
     } else {
       console.log(
-        `Command Queue: Processing background command (running: ${running}, queued: ${queue.length})`
+        `Command Queue: Processing background command (running: ${running}, session ${sessionId}: ${runningPerSession.get(sessionId)})`
       );
     }
 
@@ -61,69 +360,74 @@ const createCommandQueue = (maxConcurrent = 3, delayBetweenCommands = 300) => {
         if (err) {
           // Handle error
           console.error(`${socketId}: Error executing command: ${err.message}`);
-          running--;
-          processQueue();
-          if (typeof callback === "function") {
-            callback({ error: err.message, output: "", background });
-          }
+          finish({ error: err.message }, "error");
+          release(0);
           return;
         }
 
+        item.stream = stream;
         connection.lastActivity = new Date();
 
-        let output = "";
-        let errorOutput = "";
-
-        // Collect data from stdout
-        stream.on("data", (data) => {
-          output += data.toString("utf8");
+        // Cancelled or timed out while the channel was opening
+        if (item.stopReason) {
+          terminate();
+        }
 
-          // If not background command and stream option is true, send directly
-          if (!background && socket && connection.options && connection.options.stream) {
-            socket.emit("command-output-stream", {
-              executionId: connection.executionId,
-              output: data.toString("utf8"),
-              partial: true
-            });
-          }
-        });
+        const stdout = createOutputCollector(item.maxOutputBytes);
+        const stderr = createOutputCollector(item.maxOutputBytes);
+
+        // Collect output, and forward it live when the client asked for a stream.
+        // Decoders keep multi-byte characters split across chunks intact
+        const forward = (name) => {
+          const collector = name === "stdout" ? stdout : stderr;
+          const decoder = new StringDecoder("utf8");
+
+          return (data) => {
+            collector.push(data);
+
+            if (streaming) {
+              const output = decoder.write(data);
+              if (output.length > 0) {
+                socket.emit("command-output-stream", {
+                  executionId,
+                  streamId: item.streamId,
+                  seq: item.seq++,
+                  stream: name,
+                  output,
+                  partial: true
+                });
+              }
+            }
+          };
+        };
 
-        // Collect data from stderr
-        stream.stderr.on("data", (data) => {
-          errorOutput += data.toString("utf-8");
-        });
+        stream.on("data", forward("stdout"));
+        stream.stderr.on("data", forward("stderr"));
 
-        // Handle end of stream
-        stream.on("close", (code) => {
-          // Reset background command tracking
-          if (connection) {
-            connection.runningBackgroundCommand = false;
-          }
+        // Handle end of stream; signal is set instead of code when the process was killed
+        stream.on("close", (code, signal) => {
+          const exitCode = typeof code === "number" ? code : null;
 
           // Only log non-background commands
           if (!background) {
-            console.log(`${socketId}: Command executed with code ${code}`);
+            console.log(`${socketId}: Command executed with code ${exitCode}${signal ? `, signal ${signal}` : ""}`);
 
-            if (code !== 0) {
-              console.log(`${socketId}: Command stderr: ${errorOutput}`);
+            if (exitCode !== 0) {
+              console.log(`${socketId}: Command stderr: ${stderr.text()}`);
             }
           }
 
-          if (typeof callback === "function") {
-            // Return both output and errorOutput
-            callback({
-              error: code !== 0 ? `Command exited with code ${code}` : null,
-              output: output,
-              errorOutput: errorOutput,
-              background // Include background flag in response
-            });
+          let error = null;
+          if (signal) {
+            error = `Command terminated by ${signal}`;
+          } else if (exitCode === null) {
+            error = "Command exited without a status";
+          } else if (exitCode !== 0) {
+            error = `Command exited with code ${exitCode}`;
           }
 
-          // Release this slot after a brief delay to avoid overwhelming the SSH server
-          setTimeout(() => {
-            running--;
-            processQueue();
-          }, delayBetweenCommands);
+          finish({ exitCode, signal: signal || null, stdout, stderr, error });
+          release(delayBetweenCommands);
         });
 
         // Handle any errors on the stream
@@ -131,59 +435,160 @@ const createCommandQueue = (maxConcurrent = 3, delayBetweenCommands = 300) => {
           console.error(
             `${socketId}: Stream error during command: ${err.message}`
           );
-          if (typeof callback === "function") {
-            callback({
-              error: `Stream error: ${err.message}`,
-              output: output,
-              errorOutput,
-              background
-            });
-          }
-
-          // Release this slot after a brief delay
-          setTimeout(() => {
-            running--;
-            processQueue();
-          }, delayBetweenCommands);
+          finish({ stdout, stderr, error: `Stream error: ${err.message}` }, "error");
+          release(delayBetweenCommands);
         });
       });
     } catch (error) {
       console.error(
         `${socketId}: Exception executing command: ${error.message}`
       );
-      if (typeof callback === "function") {
-        callback({ error: error.message, output: "", background });
-      }
-
-      // Release this slot after a brief delay
-      setTimeout(() => {
-        running--;
-        processQueue();
-      }, delayBetweenCommands);
+      finish({ error: error.message }, "error");
+      release(delayBetweenCommands);
     }
   };
 
   return {
+    // Returns the execution id, generated when the caller didn't pass one
     add: (commandObj) => {
-      queue.push(commandObj);
+      const priorityName =
+        commandObj.priority in COMMAND_PRIORITIES
+          ? commandObj.priority
+          : commandObj.background
+            ? "background"
+            : "interactive";
+      const item = {
+        ...commandObj,
+        background: commandObj.background === true,
+        executionId: commandObj.executionId || crypto.randomUUID(),
+        timeoutMs: commandObj.timeoutMs || COMMAND_TIMEOUT_MS,
+        maxOutputBytes: commandObj.maxOutputBytes || COMMAND_OUTPUT_MAX_BYTES,
+        priority: COMMAND_PRIORITIES[priorityName],
+        priorityName,
+        hostKey: `${commandObj.connection.host}:${commandObj.connection.port}`,
+        queuedAt: Date.now(),
+        sequence: sequence++,
+      };
+
+      if (!sessionQueues.has(item.sessionId)) {
+        sessionQueues.set(item.sessionId, []);
+      }
+      sessionQueues.get(item.sessionId).push(item);
+      notify(item.sessionId);
       processQueue();
+      return item.executionId;
     },
-    
+
     processQueue,
-    
+
+    // Drop a queued item, or signal/close the channel of a running one
+    cancel: (executionId, sessionId, signal) => {
+      const queued = (sessionQueues.get(sessionId) || []).find((item) => item.executionId === executionId);
+      if (queued) {
+        dequeue(queued);
+        settleCancelled(queued);
+        notify(sessionId);
+        return "queued";
+      }
+
+      const active = [...runningItems].find(
+        (item) => item.executionId === executionId && item.sessionId === sessionId
+      );
+      if (active) {
+        active.stop("cancelled", signal);
+        return "running";
+      }
+
+      return null;
+    },
+
     clearSessionCommands: (sessionId) => {
-      queue = queue.filter((item) => item.sessionId !== sessionId);
+      const queued = sessionQueues.get(sessionId) || [];
+      sessionQueues.delete(sessionId);
+      queued.forEach(settleCancelled);
+      if (!runningPerSession.has(sessionId)) {
+        lastServed.delete(sessionId);
+      }
+      if (queued.length > 0) {
+        notify(sessionId);
+      }
     },
-    
+
+    getSessionState,
+
     getQueueState: () => ({
-      queue: queue.length,
-      running
+      queue: [...sessionQueues.values()].reduce((total, items) => total + items.length, 0),
+      running,
+      sessions: sessionQueues.size,
     })
   };
 };
 
-// Create global command queue
-const cmdQueue = createCommandQueue();
+// Create global command queue; queue changes are pushed to the session's viewers
+const COMMAND_QUEUE_MAX_PER_SESSION = parseInt(process.env.COMMAND_QUEUE_MAX_PER_SESSION) || 3;
+const cmdQueue = createCommandQueue({
+  maxConcurrent: parseInt(process.env.COMMAND_QUEUE_MAX_CONCURRENT) || 8,
+  maxPerSession: COMMAND_QUEUE_MAX_PER_SESSION,
+  maxPerHost: parseInt(process.env.COMMAND_QUEUE_MAX_PER_HOST) || 4,
+  onStateChange: (sessionId, state) => {
+    const connection = sshConnections.get(sessionId);
+    if (connection) {
+      emitToSession(connection, "command-queue-update", state);
+    }
+  },
+});
+
+// Batch steps are either a command string or { command, timeout, cwd, env }
+const BATCH_MODES = ["parallel", "sequential", "stop-on-error"];
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+// Clients may shorten the operator's COMMAND_TIMEOUT_MS but never extend it;
+// 0 leaves the default in place
+const normalizeCommandTimeout = (value) => {
+  const timeoutMs = parseInt(value);
+  if (!(timeoutMs > 0)) return 0;
+  return COMMAND_TIMEOUT_MS > 0 ? Math.min(timeoutMs, COMMAND_TIMEOUT_MS) : timeoutMs;
+};
+
+const normalizeBatchStep = (step, defaults) => {
+  const spec = typeof step === "string" ? { command: step } : step;
+  if (!spec || typeof spec.command !== "string" || !spec.command.trim()) {
+    throw new Error("Every batch step needs a command");
+  }
+
+  const env = { ...defaults.env, ...(spec.env || {}) };
+  const invalidName = Object.keys(env).find((name) => !ENV_NAME_PATTERN.test(name));
+  if (invalidName) {
+    throw new Error(`Invalid environment variable name: ${invalidName}`);
+  }
+
+  return {
+    command: spec.command,
+    timeoutMs: normalizeCommandTimeout(spec.timeout) || defaults.timeoutMs,
+    cwd: spec.cwd || defaults.cwd || null,
+    env,
+  };
+};
+
+// Working directory and environment are applied by the remote shell, because
+// sshd drops env requests for anything outside AcceptEnv
+const buildStepCommand = ({ command, cwd, env }) => {
+  const lines = [];
+  if (cwd) {
+    lines.push(`cd ${shellQuote(cwd)} || exit 1`);
+  }
+
+  const entries = Object.entries(env);
+  if (entries.length > 0) {
+    lines.push(`export ${entries.map(([name, value]) => `${name}=${shellQuote(value)}`).join(" ")}`);
+  }
+
+  return [...lines, command].join("\n");
+};
+
+const isFailedStep = (result) => result.status !== "completed" || result.exitCode !== 0;
 
 // SSH connection management functions
 const cleanupConnection = (socketId, sessionId) => {
@@ -206,31 +611,40 @@ const cleanupConnection = (socketId, sessionId) => {
     connection.hardAuthTimeout = null;
   }
 
-  // Clear any monitoring timers
-  if (connection.monitoringTimer) {
-    clearInterval(connection.monitoringTimer);
-    connection.monitoringTimer = null;
-  }
+  // Deliberate teardown - the SSH close that follows is not an outage
+  connection.closing = true;
+
+  // Stop the metrics sampler channel and its restart timer
+  stopMetricsSampler(connection);
+  clearSessionAlerts(connection);
 
   // Clear high frequency monitoring timer if exists
   if (connection.highFreqMonitoringTimer) {
-    clearInterval(connection.highFreqMonitoringTimer);
+    clearTimeout(connection.highFreqMonitoringTimer);
     connection.highFreqMonitoringTimer = null;
   }
 
   // Clear any pending commands for this session
   cmdQueue.clearSessionCommands(sessionId);
 
-  // Close SSH stream if it exists
-  if (connection.sshStream && !connection.sshStream.destroyed) {
+  // Close SFTP subsystem and any in-flight transfers
+  closeSftp(connection);
+
+  // Finish the asciicast file if the session was recorded
+  stopRecording(connection);
+
+  // Stop port forward listeners and their tunnels
+  closePortForwards(connection);
+
+  // Stop log followers before the client goes away
+  closeLogSubscriptions(connection);
+
+  // Close every shell stream that is still open
+  if (connection.shells.size > 0) {
     console.log(
-      `${socketId}: Destroying SSH stream for session ${sessionId}`
+      `${socketId}: Destroying ${connection.shells.size} shell stream(s) for session ${sessionId}`
     );
-    try {
-      connection.sshStream.destroy();
-    } catch (err) {
-      console.error(`${socketId}: Error destroying stream: ${err.message}`);
-    }
+    destroyShells(connection);
   }
 
   // Close SSH client if it exists
@@ -247,27 +661,306 @@ const cleanupConnection = (socketId, sessionId) => {
     }
   }
 
+  // Close any jump hosts the session was tunnelled through
+  closeJumpClients(connection);
+
   // Remove mappings
   socketToSession.delete(socketId);
+  detachAllViewers(connection);
   sshConnections.delete(sessionId);
 
   console.log(`${socketId}: Connection cleaned up for session ${sessionId}`);
 };
 
+// Session recording - terminal output, input and resizes in asciicast v2 format
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, "recordings");
+const RECORD_ALL_SESSIONS = process.env.SESSION_RECORDING === "true";
+// Input is opt-in because it captures everything typed, including sudo passwords
+const RECORD_ALL_INPUT = process.env.SESSION_RECORDING_INPUT === "true";
+const RECORDING_ID_PATTERN = /^[\w.-]+$/;
+
+const startRecording = (connection, { recordInput = RECORD_ALL_INPUT } = {}) => {
+  if (connection.recording) {
+    return connection.recording;
+  }
+
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+
+  const startedAt = new Date();
+  const recordingId = `${startedAt.toISOString().replace(/[:.]/g, "-")}_${connection.sessionId}`;
+  const file = path.join(RECORDINGS_DIR, `${recordingId}.cast`);
+  const stream = fs.createWriteStream(file, { flags: "a" });
+
+  stream.on("error", (err) => {
+    console.error(`${connection.socketId}: Recording ${recordingId} write error: ${err.message}`);
+    connection.recording = null;
+  });
+
+  stream.write(
+    JSON.stringify({
+      version: 2,
+      width: connection.cols || 80,
+      height: connection.rows || 24,
+      timestamp: Math.floor(startedAt.getTime() / 1000),
+      title: `${connection.username}@${connection.host}:${connection.port}`,
+      env: { TERM: "xterm-256color" },
+    }) + "\n"
+  );
+
+  connection.recording = { recordingId, file, stream, startedAt, recordInput };
+  console.log(`${connection.socketId}: Recording session ${connection.sessionId} to ${file}`);
+  return connection.recording;
+};
+
+// Append one [time, type, data] event; type is "o" (output), "i" (input) or "r" (resize)
+const recordEvent = (connection, type, data) => {
+  const recording = connection.recording;
+  if (!recording || (type === "i" && !recording.recordInput)) return;
+
+  const elapsed = (Date.now() - recording.startedAt.getTime()) / 1000;
+  recording.stream.write(JSON.stringify([Number(elapsed.toFixed(6)), type, data]) + "\n");
+};
+
+const stopRecording = (connection) => {
+  const recording = connection.recording;
+  if (!recording) return null;
+
+  connection.recording = null;
+  recording.stream.end();
+  console.log(`${connection.socketId}: Stopped recording ${recording.recordingId}`);
+  return recording.recordingId;
+};
+
+// Read the asciicast header of a recording without loading the whole file
+const readRecordingHeader = (file) => {
+  const fd = fs.openSync(file, "r");
+  try {
+    const buffer = Buffer.alloc(4096);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const firstLine = buffer.subarray(0, bytesRead).toString("utf8").split("\n")[0];
+    return JSON.parse(firstLine);
+  } catch (err) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Scrollback - bounded per-session buffer of terminal output so reconnecting
+// clients can catch up. Offsets count characters of ssh-data output.
+const SCROLLBACK_MAX_BYTES = parseInt(process.env.SCROLLBACK_MAX_BYTES) || 256 * 1024;
+const SCROLLBACK_MAX_LINES = parseInt(process.env.SCROLLBACK_MAX_LINES) || 0; // 0 = no line limit
+
+const countLines = (data) => {
+  let lines = 0;
+  for (let i = data.indexOf("\n"); i !== -1; i = data.indexOf("\n", i + 1)) {
+    lines++;
+  }
+  return lines;
+};
+
+const createScrollback = () => ({
+  chunks: [], // { offset, data, bytes, lines }
+  bytes: 0,
+  lines: 0,
+  startOffset: 0, // Offset of the oldest character still buffered
+  endOffset: 0, // Offset just past the newest character
+});
+
+const appendScrollback = (scrollback, data) => {
+  const chunk = {
+    offset: scrollback.endOffset,
+    data,
+    bytes: Buffer.byteLength(data),
+    lines: countLines(data),
+  };
+  scrollback.chunks.push(chunk);
+  scrollback.bytes += chunk.bytes;
+  scrollback.lines += chunk.lines;
+  scrollback.endOffset += data.length;
+
+  // Drop the oldest output until the buffer is back within budget
+  const overBytes = () => scrollback.bytes > SCROLLBACK_MAX_BYTES;
+  const overLines = () => SCROLLBACK_MAX_LINES > 0 && scrollback.lines > SCROLLBACK_MAX_LINES;
+
+  while (scrollback.chunks.length > 0 && (overBytes() || overLines())) {
+    const oldest = scrollback.chunks[0];
+    let cut = oldest.data.length;
+
+    if (overBytes()) {
+      // Approximate the character count from the byte overshoot
+      const excess = scrollback.bytes - SCROLLBACK_MAX_BYTES;
+      cut = Math.min(oldest.data.length, Math.max(1, Math.ceil((excess * oldest.data.length) / oldest.bytes)));
+    } else {
+      const newline = oldest.data.indexOf("\n");
+      cut = newline === -1 ? oldest.data.length : newline + 1;
+    }
+
+    const removed = oldest.data.slice(0, cut);
+    const removedBytes = Buffer.byteLength(removed);
+    const removedLines = countLines(removed);
+
+    oldest.data = oldest.data.slice(cut);
+    oldest.offset += cut;
+    oldest.bytes -= removedBytes;
+    oldest.lines -= removedLines;
+    scrollback.bytes -= removedBytes;
+    scrollback.lines -= removedLines;
+    scrollback.startOffset += cut;
+
+    if (oldest.data.length === 0) {
+      scrollback.chunks.shift();
+    }
+  }
+};
+
+// Output after `fromOffset`, or everything buffered when no offset is given
+const readScrollback = (scrollback, fromOffset) => {
+  const hasOffset = Number.isInteger(fromOffset) && fromOffset >= 0;
+  const start = hasOffset ? Math.max(fromOffset, scrollback.startOffset) : scrollback.startOffset;
+
+  const data = scrollback.chunks
+    .filter((chunk) => chunk.offset + chunk.data.length > start)
+    .map((chunk) => (chunk.offset < start ? chunk.data.slice(start - chunk.offset) : chunk.data))
+    .join("");
+
+  return {
+    data,
+    fromOffset: Math.min(start, scrollback.endOffset),
+    toOffset: scrollback.endOffset,
+    // Part of what the client asked for has already been dropped
+    truncated: hasOffset && fromOffset < scrollback.startOffset,
+  };
+};
+
+// Shell channels (tabs) opened on one SSH connection; the default shell is the
+// one created at connect time and stays reachable as connection.sshStream
+const DEFAULT_SHELL_ID = "default";
+const MAX_SHELLS_PER_CONNECTION = parseInt(process.env.MAX_SHELLS_PER_CONNECTION) || 4;
+const SHELL_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Shells, execs, log followers, SFTP and the metrics sampler are all session
+// channels, and sshd refuses more than MaxSessions (10 by default) on one
+// connection. Queued commands and the sampler keep their slots; tabs, log
+// followers and SFTP share the rest
+const MAX_SESSION_CHANNELS = parseInt(process.env.MAX_SESSION_CHANNELS) || 10;
+
+const countSharedChannels = (connection) =>
+  [...connection.shells.values()].filter((shell) => !shell.stream || !shell.stream.destroyed).length +
+  (connection.logSubscriptions ? connection.logSubscriptions.size : 0) +
+  (connection.sftp || connection.sftpPending ? 1 : 0);
+
+// Null when one more shared channel fits, otherwise the reason for the client
+const checkChannelBudget = (connection) => {
+  const budget = Math.max(MAX_SESSION_CHANNELS - COMMAND_QUEUE_MAX_PER_SESSION - 1, 1);
+  return countSharedChannels(connection) >= budget
+    ? `Channel limit reached (${budget} tabs, log followers and SFTP per connection)`
+    : null;
+};
+
+const checkShellLimit = (connection) =>
+  connection.shells.size >= MAX_SHELLS_PER_CONNECTION
+    ? `Shell limit reached (${MAX_SHELLS_PER_CONNECTION} per connection)`
+    : checkChannelBudget(connection);
+
+const getShell = (connection, shellId) =>
+  (connection.shells && connection.shells.get(shellId || DEFAULT_SHELL_ID)) || null;
+
+const getShellStream = (connection, shellId) => {
+  const shell = getShell(connection, shellId);
+  return shell && shell.stream && !shell.stream.destroyed ? shell.stream : null;
+};
+
+const formatShell = (shell) => ({
+  shellId: shell.shellId,
+  name: shell.name,
+  cols: shell.cols,
+  rows: shell.rows,
+  command: shell.command,
+  open: !!(shell.stream && !shell.stream.destroyed),
+  createdAt: shell.createdAt,
+  scrollbackOffset: shell.scrollback.endOffset,
+});
+
+const getScrollbackOffsets = (connection) =>
+  Object.fromEntries([...connection.shells.values()].map((shell) => [shell.shellId, shell.scrollback.endOffset]));
+
+const destroyShells = (connection) => {
+  for (const shell of connection.shells.values()) {
+    if (shell.stream && !shell.stream.destroyed) {
+      try {
+        shell.stream.destroy();
+      } catch (err) {
+        console.error(`${connection.socketId}: Error destroying shell ${shell.shellId}: ${err.message}`);
+      }
+    }
+  }
+  connection.shells.clear();
+  connection.sshStream = null;
+};
+
+// Send terminal output to every viewer and keep it for replay
+const emitTerminalOutput = (connection, shell, data) => {
+  appendScrollback(shell.scrollback, data);
+  emitToSession(connection, "ssh-data", data, shell.shellId);
+};
+
+// Replay buffered output to one socket before it receives live data.
+// `fromOffset` is either the default shell's offset or a { shellId: offset } map
+const replayScrollback = (socket, connection, fromOffset) => {
+  const offsets =
+    fromOffset && typeof fromOffset === "object" ? fromOffset : { [DEFAULT_SHELL_ID]: fromOffset };
+
+  for (const shell of connection.shells.values()) {
+    const replay = readScrollback(shell.scrollback, offsets[shell.shellId]);
+
+    console.log(
+      `${socket.id}: Replaying ${replay.data.length} chars of scrollback for shell ${shell.shellId} of session ${connection.sessionId}`
+    );
+    socket.emit("ssh-replay", { sessionId: connection.sessionId, shellId: shell.shellId, ...replay });
+  }
+};
+
 // Terminal shell management
-const createShell = (clientSocket, connection) => {
+const createShell = (clientSocket, connection, options = {}) => {
   if (!connection || !connection.sshClient) {
     console.error(
       `${clientSocket.id}: Cannot create shell - SSH client not available`
     );
     clientSocket.emit("ssh-error", { message: "SSH client not available" });
-    return;
+    return Promise.resolve(null);
+  }
+
+  const shellId = options.shellId || DEFAULT_SHELL_ID;
+  const isDefaultShell = shellId === DEFAULT_SHELL_ID;
+
+  // Restarting a shell reuses its entry so the scrollback survives
+  let shell = connection.shells.get(shellId);
+  if (!shell) {
+    const message = checkShellLimit(connection);
+    if (message) {
+      clientSocket.emit("ssh-error", { message, shellId });
+      return Promise.resolve(null);
+    }
+
+    shell = {
+      shellId,
+      name: options.name || shellId,
+      stream: null,
+      cols: options.cols || connection.cols || 80,
+      rows: options.rows || connection.rows || 24,
+      scrollback: createScrollback(),
+      // Runs this command on a pty instead of the login shell (e.g. kubectl exec)
+      command: options.command || null,
+      createdAt: new Date(),
+    };
+    connection.shells.set(shellId, shell);
   }
 
-  console.log(`${clientSocket.id}: Creating new shell session`);
+  console.log(`${clientSocket.id}: Creating new shell session ${shellId}`);
 
-  const cols = connection.cols || 80;
-  const rows = connection.rows || 24;
+  const cols = shell.cols;
+  const rows = shell.rows;
 
   // Create shell with proper terminal dimensions
   const shellConfig = {
@@ -277,14 +970,14 @@ const createShell = (clientSocket, connection) => {
   };
 
   // Use a Promise with timeout to handle shell creation
-  new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
     try {
       // Set a timeout to prevent hanging
       const timeout = setTimeout(() => {
         reject(new Error("Shell creation timeout"));
       }, 5000);
 
-      connection.sshClient.shell(shellConfig, (err, stream) => {
+      const onChannel = (err, stream) => {
         clearTimeout(timeout);
 
         if (err) {
@@ -293,39 +986,56 @@ const createShell = (clientSocket, connection) => {
         }
 
         resolve(stream);
-      });
+      };
+
+      if (shell.command) {
+        connection.sshClient.exec(shell.command, { pty: shellConfig }, onChannel);
+      } else {
+        connection.sshClient.shell(shellConfig, onChannel);
+      }
     } catch (err) {
       reject(err);
     }
   })
     .then((stream) => {
       console.log(
-        `${clientSocket.id}: New shell stream created successfully`
+        `${clientSocket.id}: New shell stream ${shellId} created successfully`
       );
-      connection.sshStream = stream;
+
+      // The client went away while the channel was opening
+      if (connection.shells.get(shellId) !== shell) {
+        stream.destroy();
+        return null;
+      }
+
+      shell.stream = stream;
+      shell.restarting = false;
+      if (isDefaultShell) {
+        connection.sshStream = stream;
+      }
 
       // Update last activity
       connection.lastActivity = new Date();
 
+      // Start recording if the session or the server asked for it
+      if (isDefaultShell && (connection.recordingRequested || RECORD_ALL_SESSIONS) && !connection.recording) {
+        startRecording(connection, { recordInput: connection.recordInputRequested || RECORD_ALL_INPUT });
+      }
+
       // Set up stream handlers with better buffering
       let dataBuffer = "";
       let dataTimeout;
       const BUFFER_FLUSH_INTERVAL = 50;
 
-      // Add tracking for background command running
-      connection.runningBackgroundCommand = false;
-
       // Efficient data handling with smarter batching
       stream.on("data", (data) => {
-        // Data from background command should not be sent to terminal
-        if (connection.runningBackgroundCommand === true) {
-          console.log(`${clientSocket.id}: Skipping terminal output for background command`);
-          return;
-        }
-
-        // Output handler for foreground commands (normal output)
+        // Exec channels never write here, so every chunk is terminal output
         const strData = data.toString("utf-8");
         connection.lastActivity = new Date();
+        // Recordings hold a single terminal, so only the default shell is captured
+        if (isDefaultShell) {
+          recordEvent(connection, "o", strData);
+        }
 
         // Add to buffer
         dataBuffer += strData;
@@ -334,7 +1044,7 @@ const createShell = (clientSocket, connection) => {
         dataTimeout = setTimeout(() => {
           if (dataBuffer.length > 0) {
             // Send buffer to client
-            clientSocket.emit("ssh-data", dataBuffer);
+            emitTerminalOutput(connection, shell, dataBuffer);
             dataBuffer = "";
           }
         }, BUFFER_FLUSH_INTERVAL);
@@ -345,7 +1055,7 @@ const createShell = (clientSocket, connection) => {
         connection.lastActivity = new Date();
         if (data && data.length > 0) {
           const stringData = data.toString("utf-8");
-          clientSocket.emit("ssh-error-data", stringData);
+          emitToSession(connection, "ssh-error-data", stringData, shellId);
         }
       });
 
@@ -354,7 +1064,7 @@ const createShell = (clientSocket, connection) => {
         // Send any remaining data in buffer
         if (dataBuffer.length > 0) {
           try {
-            clientSocket.emit("ssh-data", dataBuffer);
+            emitTerminalOutput(connection, shell, dataBuffer);
           } catch (err) {
             console.error(
               `${clientSocket.id}: Error sending final data to client: ${err.message}`
@@ -363,19 +1073,35 @@ const createShell = (clientSocket, connection) => {
         }
 
         console.log(
-          `${clientSocket.id}: SSH stream closed. Code: ${code}, Signal: ${signal}`
+          `${clientSocket.id}: SSH stream ${shellId} closed. Code: ${code}, Signal: ${signal}`
         );
-        clientSocket.emit("ssh-closed", {
+        if (shell.stream === stream) {
+          shell.stream = null;
+        }
+        emitToSession(connection, "ssh-closed", {
           message: `SSH connection closed (${code ? "code: " + code : ""} ${
             signal ? "signal: " + signal : ""
           })`.trim(),
+          shellId,
         });
+
+        // Extra shells go away when they exit; the default one is reopened on input
+        if (!isDefaultShell && !shell.restarting && connection.shells.get(shellId) === shell) {
+          connection.shells.delete(shellId);
+          emitToSession(connection, "shell-closed", { shellId });
+        }
       });
 
+      // Banner, system info and monitoring belong to the default shell only
+      if (!isDefaultShell) {
+        return shell;
+      }
+
       // Execute initial commands to check system resources
       // Note: this runs AFTER successful connection to avoid race conditions
-      clientSocket.emit(
-        "ssh-data",
+      emitTerminalOutput(
+        connection,
+        shell,
         "\r\n\x1b[32m# Connection successful\x1b[0m\r\n"
       );
 
@@ -397,7 +1123,7 @@ const createShell = (clientSocket, connection) => {
             connection.systemInfo = result.output;
             
             // Send to client through special event, not to terminal
-            clientSocket.emit("system-info", { type: "uname", data: result.output });
+            emitToSession(connection, "system-info", { type: "uname", data: result.output });
           }
         }
       });
@@ -412,120 +1138,3989 @@ const createShell = (clientSocket, connection) => {
         background: true,
         callback: (result) => {
           if (!result.error) {
-            clientSocket.emit("system-info", { type: "uptime", data: result.output });
+            emitToSession(connection, "system-info", { type: "uptime", data: result.output });
           }
         }
       });
 
-      // Start system monitoring after 2 seconds
+      // Clients subscribe with monitoring-subscribe; auto-subscribe is opt-in
       setTimeout(() => setupThrottledMonitoring(clientSocket, connection), 2000);
+      return shell;
     })
     .catch((err) => {
       console.error(
         `${clientSocket.id}: Failed to create shell: ${err.message}`
       );
+      // Don't leave a dead tab behind when the server refuses the channel
+      if (!isDefaultShell && !shell.stream && connection.shells.get(shellId) === shell) {
+        connection.shells.delete(shellId);
+      }
       clientSocket.emit("ssh-error", {
         message: `Failed to create shell: ${err.message}`,
+        shellId,
       });
+      return null;
     });
 };
 
-// Fix the setupThrottledMonitoring function
+// Extra shell channels (terminal tabs) on the current SSH connection
+const registerShellHandlers = (socket) => {
+  onClientEvent(socket, "shell-open", async (data, reply) => {
+    const connection = getActiveConnection(socket);
 
-const setupThrottledMonitoring = (clientSocket, connection) => {
-  // Prevent multiple monitoring timers
-  if (connection.monitoringActive) return;
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
 
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot open shells" });
+      return;
+    }
+
+    const shellId = data.shellId || crypto.randomBytes(6).toString("hex");
+    if (!SHELL_ID_PATTERN.test(shellId)) {
+      reply({ error: "Invalid shell id" });
+      return;
+    }
+    if (connection.shells.has(shellId)) {
+      reply({ error: `Shell already exists: ${shellId}` });
+      return;
+    }
+    const limitError = checkShellLimit(connection);
+    if (limitError) {
+      reply({ error: limitError });
+      return;
+    }
+
+    const cols = parseInt(data.cols) || connection.cols || 80;
+    const rows = parseInt(data.rows) || connection.rows || 24;
+    const name = typeof data.name === "string" && data.name ? data.name.slice(0, 64) : shellId;
+
+    const shell = await createShell(socket, connection, { shellId, name, cols, rows });
+    if (!shell) {
+      reply({ error: "Failed to open shell channel; the server may limit sessions per connection" });
+      return;
+    }
+
+    console.log(`${socket.id}: Opened shell ${shellId} on session ${connection.sessionId}`);
+    emitToSession(connection, "shell-opened", formatShell(shell));
+    reply(formatShell(shell));
+  });
+
+  onClientEvent(socket, "shell-close", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot close shells" });
+      return;
+    }
+
+    const shell = getShell(connection, data.shellId);
+    if (!shell || !data.shellId) {
+      reply({ error: `Unknown shell: ${data.shellId}` });
+      return;
+    }
+    if (shell.shellId === DEFAULT_SHELL_ID) {
+      reply({ error: "The default shell cannot be closed; use ssh-disconnect" });
+      return;
+    }
+
+    connection.shells.delete(shell.shellId);
+    if (shell.stream && !shell.stream.destroyed) {
+      shell.stream.end();
+    }
+
+    console.log(`${socket.id}: Closed shell ${shell.shellId} on session ${connection.sessionId}`);
+    emitToSession(connection, "shell-closed", { shellId: shell.shellId });
+    reply({ shellId: shell.shellId, closed: true });
+  });
+
+  onClientEvent(socket, "shell-list", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    reply({ shells: [...connection.shells.values()].map(formatShell), maxShells: MAX_SHELLS_PER_CONNECTION });
+  });
+};
+
+// System metrics collector - one exec prints every /proc source we need, each
+// section introduced by a marker line, and rates are derived from the previous sample
+const METRICS_COMMAND = [
+  "echo '@@uptime'; cat /proc/uptime",
+  "echo '@@stat'; cat /proc/stat",
+  "echo '@@meminfo'; cat /proc/meminfo",
+  "echo '@@loadavg'; cat /proc/loadavg",
+  "echo '@@diskstats'; cat /proc/diskstats",
+  "echo '@@netdev'; cat /proc/net/dev",
+  "echo '@@procs'; ls -d /proc/[0-9]* 2>/dev/null | wc -l",
+  // Local filesystems only, so a dead NFS mount can't hang the sample
+  "echo '@@df'; df -kPl 2>/dev/null || df -kP",
+].join("; ");
+const DISKSTATS_SECTOR_BYTES = 512; // /proc/diskstats always counts 512-byte sectors
+const IGNORED_BLOCK_DEVICES = /^(loop|ram|zram|fd|sr)\d/;
+const PSEUDO_FILESYSTEMS = /^(tmpfs|devtmpfs|udev|none|shm|cgroup2?)$/;
+
+const splitMetricsSections = (text) => {
+  const sections = {};
+  let current = null;
+  for (const line of text.split("\n")) {
+    if (line.startsWith("@@")) {
+      current = line.slice(2).trim();
+      sections[current] = [];
+    } else if (current && line.trim()) {
+      sections[current].push(line);
+    }
+  }
+  return sections;
+};
+
+const parseProcStat = (lines = []) => {
+  const cpus = [];
+  const counters = {};
+  for (const line of lines) {
+    const [key, ...values] = line.trim().split(/\s+/);
+    if (key.startsWith("cpu")) {
+      const [user, nice, system, idle, iowait = 0, irq = 0, softirq = 0, steal = 0] = values.map(Number);
+      cpus.push({
+        name: key,
+        idle: idle + iowait,
+        iowait,
+        total: user + nice + system + idle + iowait + irq + softirq + steal,
+      });
+    } else {
+      counters[key] = Number(values[0]);
+    }
+  }
+  return {
+    cpu: cpus.find((cpu) => cpu.name === "cpu") || null,
+    cores: cpus.filter((cpu) => cpu.name !== "cpu"),
+    running: counters.procs_running || 0,
+    blocked: counters.procs_blocked || 0,
+  };
+};
+
+const parseMeminfo = (lines = []) => {
+  const values = {};
+  for (const line of lines) {
+    const match = line.match(/^(\w+(?:\(\w+\))?):\s+(\d+)(?:\s+kB)?/);
+    if (match) {
+      values[match[1]] = Number(match[2]) * (line.endsWith("kB") ? 1024 : 1);
+    }
+  }
+  return values;
+};
+
+const parseDiskstats = (lines = []) => {
+  const devices = {};
+  for (const line of lines) {
+    const fields = line.trim().split(/\s+/);
+    const name = fields[2];
+    if (!name || IGNORED_BLOCK_DEVICES.test(name)) continue;
+    devices[name] = {
+      readBytes: Number(fields[5]) * DISKSTATS_SECTOR_BYTES,
+      writeBytes: Number(fields[9]) * DISKSTATS_SECTOR_BYTES,
+      ioMs: Number(fields[12]),
+    };
+  }
+  return devices;
+};
+
+const parseNetDev = (lines = []) => {
+  const interfaces = {};
+  for (const line of lines) {
+    const match = line.match(/^\s*([^:\s]+):\s*(.*)$/);
+    if (!match || match[1] === "lo") continue;
+    const fields = match[2].trim().split(/\s+/).map(Number);
+    interfaces[match[1]] = {
+      rxBytes: fields[0],
+      rxErrors: fields[2],
+      txBytes: fields[8],
+      txErrors: fields[10],
+    };
+  }
+  return interfaces;
+};
+
+const parseDf = (lines = []) =>
+  lines
+    .slice(1)
+    .map((line) => line.trim().split(/\s+/))
+    .filter((fields) => fields.length >= 6 && !PSEUDO_FILESYSTEMS.test(fields[0]))
+    .map((fields) => ({
+      filesystem: fields[0],
+      totalBytes: Number(fields[1]) * 1024,
+      usedBytes: Number(fields[2]) * 1024,
+      availableBytes: Number(fields[3]) * 1024,
+      mount: fields.slice(5).join(" "),
+    }));
+
+const parseMetricsSample = (text) => {
+  const sections = splitMetricsSections(text);
+  const [load1, load5, load15, threads] = (sections.loadavg?.[0] || "").trim().split(/\s+/);
+  return {
+    takenAt: Date.now(),
+    uptime: Number((sections.uptime?.[0] || "").split(" ")[0]) || null,
+    stat: parseProcStat(sections.stat),
+    meminfo: parseMeminfo(sections.meminfo),
+    load: {
+      load1: Number(load1) || 0,
+      load5: Number(load5) || 0,
+      load15: Number(load15) || 0,
+      threads: threads ? Number(threads.split("/")[1]) : null,
+    },
+    disks: parseDiskstats(sections.diskstats),
+    network: parseNetDev(sections.netdev),
+    processCount: Number(sections.procs?.[0]) || 0,
+    filesystems: parseDf(sections.df),
+  };
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+const cpuUsage = (current, previous) => {
+  if (!current || !previous) return null;
+  const total = current.total - previous.total;
+  return total > 0 ? round(100 * (1 - (current.idle - previous.idle) / total)) : 0;
+};
+
+// Counters can go backwards when a device or interface is reset
+const ratePerSecond = (current, previous, seconds) =>
+  previous === undefined || current < previous ? 0 : Math.round((current - previous) / seconds);
+
+// Turn two raw samples into the `monitoring-data` stats payload
+const computeMetrics = (sample, previous) => {
+  // Remote uptime gives the real gap between samples, whatever the network delay
+  const elapsed =
+    sample.uptime && previous.uptime
+      ? sample.uptime - previous.uptime
+      : (sample.takenAt - previous.takenAt) / 1000;
+  const seconds = Math.max(elapsed, 0.001);
+  const mem = sample.meminfo;
+  const memTotal = mem.MemTotal || 0;
+  const memAvailable = mem.MemAvailable !== undefined ? mem.MemAvailable : (mem.MemFree || 0) + (mem.Cached || 0);
+  const swapUsed = (mem.SwapTotal || 0) - (mem.SwapFree || 0);
+
+  return {
+    cpu: {
+      value: cpuUsage(sample.stat.cpu, previous.stat.cpu),
+      iowait: sample.stat.cpu && previous.stat.cpu
+        ? percent(sample.stat.cpu.iowait - previous.stat.cpu.iowait, sample.stat.cpu.total - previous.stat.cpu.total)
+        : 0,
+      cores: sample.stat.cores.map((core) => ({
+        name: core.name,
+        value: cpuUsage(core, previous.stat.cores.find((old) => old.name === core.name)),
+      })),
+    },
+    memory: {
+      value: percent(memTotal - memAvailable, memTotal),
+      totalBytes: memTotal,
+      usedBytes: memTotal - memAvailable,
+      availableBytes: memAvailable,
+      cachedBytes: mem.Cached || 0,
+      buffersBytes: mem.Buffers || 0,
+    },
+    swap: {
+      value: percent(swapUsed, mem.SwapTotal || 0),
+      totalBytes: mem.SwapTotal || 0,
+      usedBytes: swapUsed,
+    },
+    load: { ...sample.load, cores: sample.stat.cores.length },
+    disks: sample.filesystems.map((fs) => {
+      const device = fs.filesystem.replace(/^\/dev\//, "");
+      const io = sample.disks[device];
+      const oldIo = previous.disks[device];
+      return {
+        ...fs,
+        device: io ? device : null,
+        value: percent(fs.usedBytes, fs.usedBytes + fs.availableBytes),
+        readBytesPerSec: io ? ratePerSecond(io.readBytes, oldIo?.readBytes, seconds) : null,
+        writeBytesPerSec: io ? ratePerSecond(io.writeBytes, oldIo?.writeBytes, seconds) : null,
+        busyPercent: io && oldIo ? Math.min(100, percent(io.ioMs - oldIo.ioMs, seconds * 1000)) : null,
+      };
+    }),
+    network: Object.entries(sample.network).map(([name, counters]) => {
+      const old = previous.network[name] || {};
+      return {
+        interface: name,
+        rxBytes: counters.rxBytes,
+        txBytes: counters.txBytes,
+        rxBytesPerSec: ratePerSecond(counters.rxBytes, old.rxBytes, seconds),
+        txBytesPerSec: ratePerSecond(counters.txBytes, old.txBytes, seconds),
+        rxErrors: counters.rxErrors,
+        txErrors: counters.txErrors,
+      };
+    }),
+    processes: {
+      total: sample.processCount,
+      running: sample.stat.running,
+      blocked: sample.stat.blocked,
+      threads: sample.load.threads,
+    },
+  };
+};
+
+// Metrics sampler - one long-lived exec channel runs the collector in a remote
+// loop and streams samples terminated by "@@end"; the gateway parses them as
+// they arrive and reopens the channel with backoff if it dies
+const MONITORING_INTERVAL_MS = 1000;
+const MONITORING_MIN_INTERVAL_MS = parseInt(process.env.MONITORING_MIN_INTERVAL_MS) || 1000;
+const MONITORING_MAX_INTERVAL_MS = parseInt(process.env.MONITORING_MAX_INTERVAL_MS) || 60000;
+const HIGH_FREQ_INTERVAL_MS = 250; // Sampling interval during a high-frequency burst
+const HIGH_FREQ_MAX_DURATION_MS = 60000;
+const MONITORING_METRICS = ["cpu", "memory", "swap", "load", "disks", "network", "processes"];
+// Subscribe every shell owner automatically, for clients that predate monitoring-subscribe
+const MONITORING_AUTO_SUBSCRIBE = process.env.MONITORING_AUTO_SUBSCRIBE === "true";
+const SAMPLER_RESTART_MAX_DELAY_MS = 30000;
+const SAMPLER_MAX_BUFFER = 1024 * 1024; // A sample is a few KB; more means the output is garbage
+
+const buildSamplerCommand = (intervalMs) =>
+  `while :; do ${METRICS_COMMAND}; echo '@@end'; sleep ${intervalMs / 1000}; done`;
+
+const handleMetricsSample = (connection, text) => {
+  const sample = parseMetricsSample(text);
+  const previous = connection.metricsSample;
+  connection.metricsSample = sample;
+  connection.samplerRestarts = 0;
+  connection.lastSampleAt = Date.now();
+
+  // The first sample is only the baseline for CPU, disk and network rates
+  if (!previous) return;
+
+  const stats = computeMetrics(sample, previous);
+  const now = connection.lastSampleAt;
+  recordMetricsHistory(connection, sample.takenAt, stats);
+  evaluateAlerts(connection, stats, now);
+  const highFrequency = isHighFrequency(connection);
+
+  // Each subscriber gets its own metrics at its own pace; samples arrive at the
+  // fastest subscribed interval, so allow half an interval of jitter
+  for (const [socketId, subscription] of connection.monitoringSubscribers || []) {
+    if (subscription.paused) continue;
+    if (!highFrequency && now - subscription.lastSentAt < subscription.intervalMs - connection.monitoringIntervalMs / 2) {
+      continue;
+    }
+
+    subscription.lastSentAt = now;
+    io.to(socketId).emit("monitoring-data", {
+      type: "system-stats",
+      timestamp: sample.takenAt,
+      highFrequency,
+      stats: Object.fromEntries(subscription.metrics.map((metric) => [metric, stats[metric]])),
+    });
+  }
+};
+
+const scheduleSamplerRestart = (connection, reason) => {
+  if (!connection.monitoringActive || connection.samplerRestartTimer) return;
+  if (!sshConnections.has(connection.sessionId) || !connection.authenticated) return;
+
+  const attempt = connection.samplerRestarts || 0;
+  const delay = Math.min(1000 * 2 ** attempt, SAMPLER_RESTART_MAX_DELAY_MS);
+  connection.samplerRestarts = attempt + 1;
+
+  console.log(`${connection.socketId}: Metrics sampler stopped (${reason}), restarting in ${delay}ms`);
+  connection.samplerRestartTimer = setTimeout(() => {
+    connection.samplerRestartTimer = null;
+    startMetricsSampler(connection);
+  }, delay);
+};
+
+const startMetricsSampler = (connection) => {
+  if (!connection.monitoringActive || connection.sampler) return;
+  if (!connection.sshClient) return;
+
+  // A newer start or a stop makes any channel still being opened obsolete
+  const generation = (connection.samplerGeneration || 0) + 1;
+  const intervalMs = connection.monitoringIntervalMs || MONITORING_INTERVAL_MS;
+  connection.samplerGeneration = generation;
+  connection.metricsSample = null;
+
+  try {
+    connection.sshClient.exec(buildSamplerCommand(intervalMs), (err, stream) => {
+      if (connection.samplerGeneration !== generation || !connection.monitoringActive) {
+        if (stream) {
+          stream.close();
+        }
+        return;
+      }
+
+      if (err) {
+        scheduleSamplerRestart(connection, err.message);
+        return;
+      }
+
+      connection.sampler = stream;
+      let buffer = "";
+
+      stream.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+
+        let end;
+        while ((end = buffer.indexOf("@@end\n")) !== -1) {
+          handleMetricsSample(connection, buffer.slice(0, end));
+          buffer = buffer.slice(end + "@@end\n".length);
+        }
+
+        if (buffer.length > SAMPLER_MAX_BUFFER) {
+          buffer = "";
+        }
+      });
+      stream.stderr.on("data", () => {});
+      stream.on("error", (streamErr) => {
+        console.error(`${connection.socketId}: Metrics sampler error: ${streamErr.message}`);
+      });
+      stream.on("close", () => {
+        // Channels closed on purpose were already detached by stopMetricsSampler
+        if (connection.sampler === stream) {
+          connection.sampler = null;
+          scheduleSamplerRestart(connection, "channel closed");
+        }
+      });
+    });
+  } catch (err) {
+    scheduleSamplerRestart(connection, err.message);
+  }
+};
+
+const stopMetricsSampler = (connection) => {
+  connection.monitoringActive = false;
+  connection.samplerGeneration = (connection.samplerGeneration || 0) + 1;
+  clearTimeout(connection.samplerRestartTimer);
+  connection.samplerRestartTimer = null;
+
+  if (connection.sampler) {
+    const sampler = connection.sampler;
+    connection.sampler = null;
+    try {
+      sampler.close();
+    } catch (err) {
+      console.error(`${connection.socketId}: Error closing metrics sampler: ${err.message}`);
+    }
+  }
+};
+
+// Monitoring subscriptions - the sampler only runs while at least one viewer is
+// subscribed and not paused, at the fastest interval any of them asked for
+const isHighFrequency = (connection) => (connection.highFrequencyUntil || 0) > Date.now();
+
+const clampMonitoringInterval = (value) => {
+  const intervalMs = parseInt(value) || MONITORING_INTERVAL_MS;
+  return Math.min(Math.max(intervalMs, MONITORING_MIN_INTERVAL_MS), MONITORING_MAX_INTERVAL_MS);
+};
+
+const formatMonitoringSubscription = (connection, subscription) => ({
+  metrics: subscription.metrics,
+  interval: subscription.intervalMs,
+  paused: subscription.paused,
+  samplingInterval: connection.monitoringActive ? connection.monitoringIntervalMs : null,
+  highFrequencyUntil: isHighFrequency(connection) ? new Date(connection.highFrequencyUntil) : null,
+});
+
+// Start, retune or stop the sampler to match the current subscriptions
+const refreshMonitoring = (connection) => {
+  const intervals = [...(connection.monitoringSubscribers || new Map()).values()]
+    .filter((sub) => !sub.paused)
+    .map((sub) => sub.intervalMs);
+
+  // Alert rules keep a slow sampler running even when no dashboard is open
+  if (getAlertRules(connection).length > 0) {
+    intervals.push(ALERT_SAMPLING_INTERVAL_MS);
+  }
+
+  if (intervals.length === 0) {
+    if (connection.monitoringActive) {
+      console.log(`${connection.socketId}: No active monitoring subscribers, stopping sampler`);
+      stopMetricsSampler(connection);
+    }
+    return;
+  }
+
+  const intervalMs = isHighFrequency(connection) ? HIGH_FREQ_INTERVAL_MS : Math.min(...intervals);
+
+  if (connection.monitoringActive && connection.monitoringIntervalMs === intervalMs) return;
+
+  stopMetricsSampler(connection);
+  connection.monitoringIntervalMs = intervalMs;
   connection.monitoringActive = true;
-  
-  // Clear existing timer if any
-  if (connection.monitoringTimer) {
-    clearInterval(connection.monitoringTimer);
-  }
-  
-  // Set up monitoring interval
-  connection.monitoringTimer = setInterval(async () => {
+  connection.monitoringStartedAt = Date.now();
+  connection.samplerRestarts = 0;
+  console.log(`${connection.socketId}: Sampling metrics every ${intervalMs}ms for session ${connection.sessionId}`);
+  startMetricsSampler(connection);
+};
+
+const subscribeMonitoring = (socket, connection, options = {}) => {
+  if (!connection.monitoringSubscribers) {
+    connection.monitoringSubscribers = new Map();
+  }
+
+  const existing = connection.monitoringSubscribers.get(socket.id);
+  const subscription = {
+    metrics: Array.isArray(options.metrics)
+      ? options.metrics.filter((metric) => MONITORING_METRICS.includes(metric))
+      : existing ? existing.metrics : MONITORING_METRICS,
+    intervalMs: options.interval !== undefined || !existing ? clampMonitoringInterval(options.interval) : existing.intervalMs,
+    paused: options.paused !== undefined ? options.paused === true : existing ? existing.paused : false,
+    lastSentAt: 0,
+  };
+
+  connection.monitoringSubscribers.set(socket.id, subscription);
+  refreshMonitoring(connection);
+  return subscription;
+};
+
+const unsubscribeMonitoring = (socketId, connection) => {
+  if (!connection.monitoringSubscribers || !connection.monitoringSubscribers.delete(socketId)) {
+    return false;
+  }
+  refreshMonitoring(connection);
+  return true;
+};
+
+// Legacy behaviour: start monitoring for the shell owner without a subscribe event
+const setupThrottledMonitoring = (clientSocket, connection) => {
+  if (!MONITORING_AUTO_SUBSCRIBE || !connection.viewers.has(clientSocket.id)) return;
+  if (connection.monitoringSubscribers && connection.monitoringSubscribers.has(clientSocket.id)) return;
+
+  subscribeMonitoring(clientSocket, connection);
+};
+
+const registerMonitoringHandlers = (socket) => {
+  const withMonitoring = (eventName, handler) => {
+    onClientEvent(socket, eventName, (data, reply) => {
+      const connection = getActiveConnection(socket);
+
+      if (!connection) {
+        reply({ error: "No active SSH connection" });
+        return;
+      }
+
+      handler(data, connection, reply);
+    });
+  };
+
+  withMonitoring("monitoring-subscribe", (data, connection, reply) => {
+    if (Array.isArray(data.metrics)) {
+      const unknown = data.metrics.filter((metric) => !MONITORING_METRICS.includes(metric));
+      if (unknown.length > 0) {
+        reply({ error: `Unknown metrics: ${unknown.join(", ")}` });
+        return;
+      }
+    }
+
+    const subscription = subscribeMonitoring(socket, connection, data);
+    console.log(`${socket.id}: Subscribed to monitoring every ${subscription.intervalMs}ms`);
+    reply(formatMonitoringSubscription(connection, subscription));
+  });
+
+  withMonitoring("monitoring-unsubscribe", (data, connection, reply) => {
+    reply({ unsubscribed: unsubscribeMonitoring(socket.id, connection) });
+  });
+
+  // Hidden dashboards pause instead of unsubscribing, so resuming keeps their settings
+  for (const [eventName, paused] of [["monitoring-pause", true], ["monitoring-resume", false]]) {
+    withMonitoring(eventName, (data, connection, reply) => {
+      if (!connection.monitoringSubscribers || !connection.monitoringSubscribers.has(socket.id)) {
+        reply({ error: "Not subscribed to monitoring" });
+        return;
+      }
+
+      const subscription = subscribeMonitoring(socket, connection, { paused });
+      reply(formatMonitoringSubscription(connection, subscription));
+    });
+  }
+
+  // Short burst of fast sampling, e.g. while the user watches a deploy
+  withMonitoring("monitoring-high-frequency", (data, connection, reply) => {
+    if (!connection.monitoringSubscribers || !connection.monitoringSubscribers.has(socket.id)) {
+      reply({ error: "Not subscribed to monitoring" });
+      return;
+    }
+
+    const durationMs = Math.min(parseInt(data.duration) || 10000, HIGH_FREQ_MAX_DURATION_MS);
+    clearTimeout(connection.highFreqMonitoringTimer);
+    connection.highFrequencyUntil = Date.now() + durationMs;
+    connection.highFreqMonitoringTimer = setTimeout(() => {
+      connection.highFreqMonitoringTimer = null;
+      connection.highFrequencyUntil = 0;
+      refreshMonitoring(connection);
+    }, durationMs);
+
+    console.log(`${socket.id}: High-frequency monitoring for ${durationMs}ms`);
+    refreshMonitoring(connection);
+    reply(formatMonitoringSubscription(connection, connection.monitoringSubscribers.get(socket.id)));
+  });
+};
+
+// Metrics history - a fine tier with one point per second for the last 15
+// minutes and a coarse tier with one averaged point per minute for 24 hours
+const METRICS_HISTORY_TIERS = {
+  "1s": { stepMs: 1000, capacity: 15 * 60 },
+  "1m": { stepMs: 60 * 1000, capacity: 24 * 60 },
+};
+
+const createRingBuffer = (capacity) => {
+  const items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  return {
+    push: (item) => {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) {
+        size++;
+      } else {
+        start = (start + 1) % capacity;
+      }
+    },
+    last: () => (size > 0 ? items[(start + size - 1) % capacity] : null),
+    toArray: () => Array.from({ length: size }, (_, i) => items[(start + i) % capacity]),
+  };
+};
+
+const sumBy = (list, key) => list.reduce((total, item) => total + (item[key] || 0), 0);
+
+// Flat numeric summary of a stats payload, small enough to keep thousands per session
+const summarizeMetrics = (timestamp, stats) => ({
+  t: timestamp,
+  cpu: stats.cpu.value,
+  memory: stats.memory.value,
+  swap: stats.swap.value,
+  load1: stats.load.load1,
+  load5: stats.load.load5,
+  load15: stats.load.load15,
+  processes: stats.processes.total,
+  diskReadBytesPerSec: sumBy(stats.disks, "readBytesPerSec"),
+  diskWriteBytesPerSec: sumBy(stats.disks, "writeBytesPerSec"),
+  netRxBytesPerSec: sumBy(stats.network, "rxBytesPerSec"),
+  netTxBytesPerSec: sumBy(stats.network, "txBytesPerSec"),
+  disks: Object.fromEntries(stats.disks.map((disk) => [disk.mount, disk.value])),
+});
+
+const averagePoints = (points, timestamp) => {
+  const average = (values) => {
+    const numbers = values.filter((value) => typeof value === "number");
+    return numbers.length > 0 ? Math.round((numbers.reduce((a, b) => a + b, 0) / numbers.length) * 10) / 10 : null;
+  };
+
+  const point = { t: timestamp, disks: {} };
+  for (const key of Object.keys(points[0])) {
+    if (key !== "t" && key !== "disks") {
+      point[key] = average(points.map((p) => p[key]));
+    }
+  }
+  for (const mount of new Set(points.flatMap((p) => Object.keys(p.disks)))) {
+    point.disks[mount] = average(points.map((p) => p.disks[mount]));
+  }
+  return point;
+};
+
+const recordMetricsHistory = (connection, timestamp, stats) => {
+  if (!connection.metricsHistory) {
+    connection.metricsHistory = {
+      "1s": createRingBuffer(METRICS_HISTORY_TIERS["1s"].capacity),
+      "1m": createRingBuffer(METRICS_HISTORY_TIERS["1m"].capacity),
+      pendingMinute: [], // Fine points of the minute that is still open
+    };
+  }
+
+  const history = connection.metricsHistory;
+  const point = summarizeMetrics(timestamp, stats);
+
+  // High-frequency bursts sample faster than the fine tier keeps
+  const last = history["1s"].last();
+  if (last && Math.floor(last.t / 1000) === Math.floor(timestamp / 1000)) return;
+  history["1s"].push(point);
+
+  const minute = Math.floor(timestamp / 60000);
+  const pending = history.pendingMinute;
+  if (pending.length > 0 && Math.floor(pending[0].t / 60000) !== minute) {
+    history["1m"].push(averagePoints(pending, Math.floor(pending[0].t / 60000) * 60000));
+    history.pendingMinute = [];
+  }
+  history.pendingMinute.push(point);
+};
+
+// Points between `from` and `to` (ms timestamps); without an explicit
+// resolution the fine tier is used when its window reaches back to `from`
+const queryMetricsHistory = (connection, { from, to, resolution } = {}) => {
+  const history = connection.metricsHistory;
+  const end = Number(to) || Date.now();
+  const start = Number(from) || end - 15 * 60 * 1000;
+
+  if (!history) {
+    return { sessionId: connection.sessionId, resolution: resolution || "1s", from: start, to: end, points: [] };
+  }
+
+  const fineWindowMs = METRICS_HISTORY_TIERS["1s"].stepMs * METRICS_HISTORY_TIERS["1s"].capacity;
+  const tier = resolution || (Date.now() - start <= fineWindowMs ? "1s" : "1m");
+
+  const points = [
+    ...history[tier].toArray(),
+    // The open minute isn't in the coarse tier yet
+    ...(tier === "1m" && history.pendingMinute.length > 0
+      ? [averagePoints(history.pendingMinute, Math.floor(history.pendingMinute[0].t / 60000) * 60000)]
+      : []),
+  ].filter((point) => point.t >= start && point.t <= end);
+
+  return { sessionId: connection.sessionId, resolution: tier, from: start, to: end, points };
+};
+
+const registerMetricsHistoryHandlers = (socket) => {
+  onClientEvent(socket, "monitoring-history", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (data.resolution && !METRICS_HISTORY_TIERS[data.resolution]) {
+      reply({ error: `Unknown resolution: ${data.resolution}` });
+      return;
+    }
+
+    reply(queryMetricsHistory(connection, data));
+  });
+};
+
+// Alert rules - evaluated against every metrics sample. Session rules belong to
+// one session; host rules apply to every session on that host:port and survive
+// reconnects. Rules fire after the condition held for `forSeconds` and resolve
+// once the value crosses back over `clearThreshold` (hysteresis)
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+const ALERT_SAMPLING_INTERVAL_MS = 5000; // Sampler pace when only alert rules need it
+const ALERT_UNREACHABLE_DEFAULT_SECONDS = 30;
+const MAX_ALERT_RULES_PER_SCOPE = 20;
+
+// Metric name -> value (and label) extracted from a stats payload
+const ALERT_METRICS = {
+  cpu: (stats) => ({ value: stats.cpu.value }),
+  iowait: (stats) => ({ value: stats.cpu.iowait }),
+  memory: (stats) => ({ value: stats.memory.value }),
+  swap: (stats) => ({ value: stats.swap.value }),
+  load1: (stats) => ({ value: stats.load.load1 }),
+  load5: (stats) => ({ value: stats.load.load5 }),
+  load15: (stats) => ({ value: stats.load.load15 }),
+  // Fullest mount, or the one the rule names
+  disk: (stats, rule) => {
+    const disks = stats.disks.filter((disk) => !rule.mount || disk.mount === rule.mount);
+    const fullest = disks.reduce((max, disk) => (!max || disk.value > max.value ? disk : max), null);
+    return fullest ? { value: fullest.value, mount: fullest.mount } : { value: null };
+  },
+  // No samples for `forSeconds`, or the SSH connection dropped
+  unreachable: null,
+};
+
+const hostAlertRules = new Map(); // owner@host:port -> Map(ruleId -> rule)
+const alertStates = new Map(); // "<scope key>|<ruleId>" -> { pendingSince, alert }
+
+// Host rules belong to the user who added them, so other users' sessions on
+// the same host neither list, sample for nor receive them
+const getConnectionHostKey = (connection) => `${connection.ownerId || ""}@${connection.host}:${connection.port}`;
+
+const getAlertRules = (connection) => [
+  ...(connection.alertRules ? connection.alertRules.values() : []),
+  ...(hostAlertRules.get(getConnectionHostKey(connection)) || new Map()).values(),
+];
+
+const getAlertStateKey = (connection, rule) =>
+  `${rule.scope === "host" ? getConnectionHostKey(connection) : connection.sessionId}|${rule.ruleId}`;
+
+const normalizeAlertRule = (data) => {
+  const metric = data.metric;
+  if (!(metric in ALERT_METRICS)) {
+    throw new Error(`Unknown metric: ${metric}. Use one of ${Object.keys(ALERT_METRICS).join(", ")}`);
+  }
+
+  const scope = data.scope === "host" ? "host" : "session";
+  const operator = data.operator === "<" ? "<" : ">";
+  const forSeconds = Math.max(parseInt(data.forSeconds) || 0, 0);
+
+  if (metric === "unreachable") {
+    return {
+      ruleId: crypto.randomBytes(6).toString("hex"),
+      name: data.name || "Host unreachable",
+      scope,
+      metric,
+      // Shorter than two sampling rounds would flap between samples
+      forSeconds: Math.max(forSeconds || ALERT_UNREACHABLE_DEFAULT_SECONDS, (ALERT_SAMPLING_INTERVAL_MS * 2) / 1000),
+    };
+  }
+
+  const threshold = Number(data.threshold);
+  if (!Number.isFinite(threshold)) {
+    throw new Error("threshold must be a number");
+  }
+
+  // Default hysteresis band is 10% of the threshold
+  const clearThreshold = Number.isFinite(Number(data.clearThreshold)) && data.clearThreshold !== null && data.clearThreshold !== undefined
+    ? Number(data.clearThreshold)
+    : operator === ">" ? threshold * 0.9 : threshold * 1.1;
+  if (operator === ">" ? clearThreshold > threshold : clearThreshold < threshold) {
+    throw new Error(`clearThreshold must be on the other side of the threshold (${operator === ">" ? "<=" : ">="} ${threshold})`);
+  }
+
+  return {
+    ruleId: crypto.randomBytes(6).toString("hex"),
+    name: data.name || `${metric}${data.mount ? ` ${data.mount}` : ""} ${operator} ${threshold}`,
+    scope,
+    metric,
+    mount: metric === "disk" && data.mount ? String(data.mount) : null,
+    operator,
+    threshold,
+    clearThreshold,
+    forSeconds,
+  };
+};
+
+const postAlertWebhook = (alert) => {
+  if (!ALERT_WEBHOOK_URL) return;
+
+  fetch(ALERT_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(alert),
+    signal: AbortSignal.timeout(5000),
+  })
+    .then((res) => {
+      if (!res.ok) {
+        console.error(`Alert webhook responded ${res.status} for ${alert.alertId}`);
+      }
+    })
+    .catch((err) => console.error(`Alert webhook failed for ${alert.alertId}: ${err.message}`));
+};
+
+// Session alerts go to that session, host alerts to every session the rule's
+// owner has on the host
+const publishAlert = (connection, rule, event, alert) => {
+  const targets =
+    rule.scope === "host"
+      ? [...sshConnections.values()].filter((other) => getConnectionHostKey(other) === getConnectionHostKey(connection))
+      : [connection];
+
+  for (const target of targets) {
+    emitToSession(target, event, alert);
+  }
+  postAlertWebhook(alert);
+};
+
+const fireAlert = (connection, rule, state, reading, now) => {
+  state.alert = {
+    alertId: crypto.randomBytes(8).toString("hex"),
+    ruleId: rule.ruleId,
+    name: rule.name,
+    scope: rule.scope,
+    state: "firing",
+    metric: rule.metric,
+    mount: reading.mount || null,
+    value: reading.value,
+    threshold: rule.threshold,
+    operator: rule.operator,
+    sessionId: connection.sessionId,
+    host: connection.host,
+    port: connection.port,
+    firedAt: new Date(now).toISOString(),
+    resolvedAt: null,
+  };
+
+  console.log(`${connection.socketId}: Alert fired - ${rule.name} (${reading.value})`);
+  publishAlert(connection, rule, "alert-fired", state.alert);
+};
+
+const resolveAlert = (connection, rule, state, reading, now) => {
+  const alert = { ...state.alert, state: "resolved", value: reading.value, resolvedAt: new Date(now).toISOString() };
+  state.alert = null;
+  state.pendingSince = null;
+
+  console.log(`${connection.socketId}: Alert resolved - ${rule.name} (${reading.value})`);
+  publishAlert(connection, rule, "alert-resolved", alert);
+};
+
+// Advance one rule given whether its condition currently holds
+const updateAlertState = (connection, rule, reading, breached, cleared, now) => {
+  const key = getAlertStateKey(connection, rule);
+  const state = alertStates.get(key) || { pendingSince: null, alert: null };
+  alertStates.set(key, state);
+
+  if (state.alert) {
+    if (cleared) {
+      resolveAlert(connection, rule, state, reading, now);
+    }
+    return;
+  }
+
+  if (!breached) {
+    state.pendingSince = null;
+    return;
+  }
+
+  state.pendingSince = state.pendingSince || now;
+  if (now - state.pendingSince >= rule.forSeconds * 1000) {
+    fireAlert(connection, rule, state, reading, now);
+  }
+};
+
+const evaluateAlerts = (connection, stats, now) => {
+  for (const rule of getAlertRules(connection)) {
+    if (rule.metric === "unreachable") {
+      // A sample arrived, so the host is reachable again
+      updateAlertState(connection, rule, { value: 0 }, false, true, now);
+      continue;
+    }
+
+    const reading = ALERT_METRICS[rule.metric](stats, rule);
+    if (typeof reading.value !== "number") continue;
+
+    const above = (limit) => (rule.operator === ">" ? reading.value > limit : reading.value < limit);
+    updateAlertState(connection, rule, reading, above(rule.threshold), !above(rule.clearThreshold), now);
+  }
+};
+
+// Unreachable rules can't wait for a sample, so they are checked on a timer
+const checkUnreachableAlerts = () => {
+  const now = Date.now();
+  for (const connection of sshConnections.values()) {
+    if (!connection.monitoringActive || !connection.authenticated) continue;
+
+    const since = connection.lastSampleAt || connection.monitoringStartedAt || now;
+    for (const rule of getAlertRules(connection)) {
+      if (rule.metric !== "unreachable") continue;
+
+      const silentSeconds = Math.round((now - since) / 1000);
+      const breached = silentSeconds >= rule.forSeconds;
+      updateAlertState(connection, { ...rule, forSeconds: 0 }, { value: silentSeconds }, breached, false, now);
+    }
+  }
+};
+
+// The SSH connection dropped without the user asking for it
+const reportConnectionLost = (connection) => {
+  if (!connection.authenticated || connection.closing) return;
+
+  const now = Date.now();
+  for (const rule of getAlertRules(connection)) {
+    if (rule.metric === "unreachable") {
+      updateAlertState(connection, { ...rule, forSeconds: 0 }, { value: null }, true, false, now);
+    }
+  }
+};
+
+// Session-scoped state goes away with the session; host rules keep theirs.
+// Alerts still firing are resolved first or nobody would ever hear they ended
+const clearSessionAlerts = (connection) => {
+  const now = Date.now();
+  for (const [key, state] of alertStates.entries()) {
+    if (!key.startsWith(`${connection.sessionId}|`)) continue;
+
+    const rule = state.alert && connection.alertRules && connection.alertRules.get(state.alert.ruleId);
+    if (rule) {
+      resolveAlert(connection, rule, state, { value: null }, now);
+    }
+    alertStates.delete(key);
+  }
+};
+
+const formatAlertRule = (connection, rule) => ({
+  ...rule,
+  firing: !!(alertStates.get(getAlertStateKey(connection, rule)) || {}).alert,
+});
+
+const refreshHostMonitoring = (hostKey) => {
+  for (const connection of sshConnections.values()) {
+    if (getConnectionHostKey(connection) === hostKey) {
+      refreshMonitoring(connection);
+    }
+  }
+};
+
+const registerAlertHandlers = (socket) => {
+  onClientEvent(socket, "alert-rule-add", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot manage alert rules" });
+      return;
+    }
+
+    let rule;
+    try {
+      rule = normalizeAlertRule(data);
+    } catch (err) {
+      reply({ error: err.message });
+      return;
+    }
+
+    const hostKey = getConnectionHostKey(connection);
+    if (rule.scope === "host" && !hostAlertRules.has(hostKey)) {
+      hostAlertRules.set(hostKey, new Map());
+    }
+    if (rule.scope === "session" && !connection.alertRules) {
+      connection.alertRules = new Map();
+    }
+
+    const rules = rule.scope === "host" ? hostAlertRules.get(hostKey) : connection.alertRules;
+    if (rules.size >= MAX_ALERT_RULES_PER_SCOPE) {
+      reply({ error: `Alert rule limit reached (${MAX_ALERT_RULES_PER_SCOPE} per ${rule.scope})` });
+      return;
+    }
+
+    rules.set(rule.ruleId, rule);
+    console.log(`${socket.id}: Added ${rule.scope} alert rule ${rule.ruleId} (${rule.name})`);
+
+    if (rule.scope === "host") {
+      refreshHostMonitoring(hostKey);
+    } else {
+      refreshMonitoring(connection);
+    }
+    reply(formatAlertRule(connection, rule));
+  });
+
+  onClientEvent(socket, "alert-rule-remove", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot manage alert rules" });
+      return;
+    }
+
+    const hostKey = getConnectionHostKey(connection);
+    const hostRules = hostAlertRules.get(hostKey);
+    const rule = getAlertRules(connection).find((candidate) => candidate.ruleId === data.ruleId);
+
+    if (!rule) {
+      reply({ error: `Unknown alert rule: ${data.ruleId}` });
+      return;
+    }
+
+    alertStates.delete(getAlertStateKey(connection, rule));
+    if (rule.scope === "host") {
+      hostRules.delete(rule.ruleId);
+      if (hostRules.size === 0) {
+        hostAlertRules.delete(hostKey);
+      }
+      refreshHostMonitoring(hostKey);
+    } else {
+      connection.alertRules.delete(rule.ruleId);
+      refreshMonitoring(connection);
+    }
+
+    console.log(`${socket.id}: Removed ${rule.scope} alert rule ${rule.ruleId}`);
+    reply({ ruleId: rule.ruleId, removed: true });
+  });
+
+  onClientEvent(socket, "alert-rule-list", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const rules = getAlertRules(connection);
+    reply({
+      rules: rules.map((rule) => formatAlertRule(connection, rule)),
+      firing: rules
+        .map((rule) => (alertStates.get(getAlertStateKey(connection, rule)) || {}).alert)
+        .filter(Boolean),
+    });
+  });
+};
+
+// Process manager - structured ps listing, signals and renice. Everything the
+// client sends is validated here and only numbers and signal names reach the shell
+const PROCESS_LIST_COMMAND = "LC_ALL=C ps -eo pid=,ppid=,user:32=,pcpu=,pmem=,rss=,ni=,stat=,etimes=,args=";
+const PROCESS_LINE_PATTERN = /^\s*(\d+)\s+(\d+)\s+(\S+)\s+([\d.]+)\s+([\d.]+)\s+(\d+)\s+(\S+)\s+(\S+)\s+(\d+)\s(.*)$/;
+const PROCESS_SORT_KEYS = ["pid", "ppid", "user", "cpu", "mem", "rssBytes", "nice", "elapsedSeconds", "command"];
+const PROCESS_SIGNALS = [...EXEC_SIGNALS, "CHLD", "CONT", "STOP", "TSTP", "TTIN", "TTOU", "WINCH"];
+const PID_MAX = 4194304; // Linux PID_MAX_LIMIT
+
+// pid 0, 1 and negative values address process groups or everything
+const normalizePid = (pid) => {
+  const value = Number(pid);
+  return Number.isInteger(value) && value > 1 && value <= PID_MAX ? value : null;
+};
+
+const normalizeProcessSignal = (signal) => {
+  const name = String(signal || "TERM").toUpperCase().replace(/^SIG/, "");
+  return PROCESS_SIGNALS.includes(name) ? name : null;
+};
+
+const parseProcessList = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.match(PROCESS_LINE_PATTERN))
+    .filter(Boolean)
+    .map(([, pid, ppid, user, cpu, mem, rss, nice, state, elapsed, command]) => ({
+      pid: parseInt(pid),
+      ppid: parseInt(ppid),
+      user,
+      cpu: parseFloat(cpu),
+      mem: parseFloat(mem),
+      rssBytes: parseInt(rss) * 1024,
+      nice: nice === "-" ? null : parseInt(nice),
+      state,
+      elapsedSeconds: parseInt(elapsed),
+      command,
+    }));
+
+const compareProcesses = (key, order) => {
+  const direction = order === "asc" ? 1 : -1;
+  return (a, b) => {
+    const left = a[key] === null ? -Infinity : a[key];
+    const right = b[key] === null ? -Infinity : b[key];
+    if (left === right) return a.pid - b.pid;
+    return (typeof left === "string" ? left.localeCompare(right) : left - right) * direction;
+  };
+};
+
+const matchesProcessFilter = (proc, { filter, user, state }) =>
+  (!filter || proc.command.toLowerCase().includes(String(filter).toLowerCase())) &&
+  (!user || proc.user === user) &&
+  (!state || proc.state.startsWith(String(state).toUpperCase()));
+
+// Parent/child forest; filtered matches keep their ancestors so the path stays visible
+const buildProcessTree = (processes, matched, compare) => {
+  const byPid = new Map(processes.map((proc) => [proc.pid, { ...proc, children: [] }]));
+  const visible = new Set();
+
+  for (const proc of matched) {
+    for (let node = byPid.get(proc.pid); node && !visible.has(node.pid); node = byPid.get(node.ppid)) {
+      visible.add(node.pid);
+    }
+  }
+
+  const roots = [];
+  for (const node of byPid.values()) {
+    if (!visible.has(node.pid)) continue;
+    const parent = visible.has(node.ppid) && node.ppid !== node.pid ? byPid.get(node.ppid) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortTree = (nodes) => {
+    nodes.sort(compare);
+    nodes.forEach((node) => sortTree(node.children));
+    return nodes;
+  };
+  return sortTree(roots);
+};
+
+const runQueuedCommand = (socket, connection, command, options = {}) =>
+  new Promise((resolve) => {
+    cmdQueue.add({
+      ...options,
+      connection,
+      command,
+      socket,
+      socketId: socket.id,
+      sessionId: connection.sessionId,
+      priority: options.priority || "interactive",
+      callback: resolve,
+    });
+  });
+
+const needsElevation = (result) =>
+  /Operation not permitted|Permission denied|Access denied|password is required|authentication required/i.test(`${result.stderr || ""}${result.error || ""}`);
+
+// `ps -o stat=` prints nothing once the process is gone; zombies count as gone too
+const readProcessState = async (socket, connection, pid) => {
+  const result = await runQueuedCommand(socket, connection, `ps -o stat=,ni= -p ${pid}`);
+  const [state, nice] = result.stdout.trim().split(/\s+/);
+  return {
+    running: !!state && !state.startsWith("Z"),
+    state: state || null,
+    nice: nice && nice !== "-" ? parseInt(nice) : null,
+  };
+};
+
+const registerProcessHandlers = (socket) => {
+  onClientEvent(socket, "process-list", async (options, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const sort = PROCESS_SORT_KEYS.includes(options.sort) ? options.sort : "cpu";
+    const order = options.order === "asc" || options.order === "desc" ? options.order : sort === "cpu" || sort === "mem" ? "desc" : "asc";
+    const result = await runQueuedCommand(socket, connection, PROCESS_LIST_COMMAND);
+
+    if (result.status !== "completed" || result.exitCode !== 0) {
+      reply({ error: result.stderr.trim() || result.error || "Failed to list processes" });
+      return;
+    }
+
+    const processes = parseProcessList(result.stdout);
+    const compare = compareProcesses(sort, order);
+    const matched = processes.filter((proc) => matchesProcessFilter(proc, options)).sort(compare);
+    const limit = parseInt(options.limit) > 0 ? parseInt(options.limit) : matched.length;
+
+    reply({
+      total: processes.length,
+      matched: matched.length,
+      sort,
+      order,
+      processes: options.tree ? undefined : matched.slice(0, limit),
+      tree: options.tree ? buildProcessTree(processes, matched, compare) : undefined,
+    });
+  });
+
+  onClientEvent(socket, "process-signal", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot signal processes" });
+      return;
+    }
+
+    const pid = normalizePid(data.pid);
+    const signal = normalizeProcessSignal(data.signal);
+    if (!pid) {
+      reply({ error: `Invalid PID: ${data.pid}` });
+      return;
+    }
+    if (!signal) {
+      reply({ error: `Unsupported signal: ${data.signal}. Use one of ${PROCESS_SIGNALS.join(", ")}` });
+      return;
+    }
+
+    console.log(`${socket.id}: Sending SIG${signal} to PID ${pid}${data.sudo ? " with sudo" : ""}`);
+    const result = await runQueuedCommand(socket, connection, `${data.sudo ? "sudo -n " : ""}kill -s ${signal} ${pid}`);
+
+    if (result.status !== "completed" || result.exitCode !== 0) {
+      console.error(`${socket.id}: kill ${pid} failed: ${result.stderr.trim() || result.error}`);
+      reply({
+        pid,
+        signal,
+        delivered: false,
+        error: result.stderr.trim() || result.error,
+        needsElevation: needsElevation(result),
+      });
+      return;
+    }
+
+    // Verify like the old kill handler did, now with the state in the reply
+    const { running, state } = await readProcessState(socket, connection, pid);
+    if (!running) {
+      socket.emit("process-killed", { pid, signal, success: true });
+    }
+    reply({ pid, signal, delivered: true, running, state });
+  });
+
+  onClientEvent(socket, "process-renice", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot renice processes" });
+      return;
+    }
+
+    const pid = normalizePid(data.pid);
+    const nice = Number(data.nice);
+    if (!pid) {
+      reply({ error: `Invalid PID: ${data.pid}` });
+      return;
+    }
+    if (!Number.isInteger(nice) || nice < -20 || nice > 19) {
+      reply({ error: "nice must be an integer between -20 and 19" });
+      return;
+    }
+
+    console.log(`${socket.id}: Renicing PID ${pid} to ${nice}${data.sudo ? " with sudo" : ""}`);
+    const result = await runQueuedCommand(socket, connection, `${data.sudo ? "sudo -n " : ""}renice -n ${nice} -p ${pid}`);
+
+    if (result.status !== "completed" || result.exitCode !== 0) {
+      reply({
+        pid,
+        nice,
+        success: false,
+        error: result.stderr.trim() || result.error,
+        needsElevation: needsElevation(result),
+      });
+      return;
+    }
+
+    const current = await readProcessState(socket, connection, pid);
+    reply({ pid, nice: current.nice, success: current.nice === nice, running: current.running });
+  });
+};
+
+// systemd services - structured unit list, lifecycle actions and status with
+// recent journal lines. Unit names are validated so they can go to the shell as is
+const SERVICE_ACTIONS = ["start", "stop", "restart", "reload", "enable", "disable"];
+const SERVICE_UNIT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9@._:-]{0,254}$/;
+const SERVICE_UNIT_TYPES = ["service", "socket", "timer", "mount", "target", "path"];
+const SERVICE_PROPERTIES = [
+  "Id",
+  "Description",
+  "LoadState",
+  "ActiveState",
+  "SubState",
+  "UnitFileState",
+  "MainPID",
+  "ActiveEnterTimestamp",
+  "ExecMainStatus",
+  "MemoryCurrent",
+];
+const SERVICE_JOURNAL_MAX_LINES = 500;
+// Unit management yields to interactive commands in the queue
+const SERVICE_COMMAND_OPTIONS = { priority: "background" };
+
+// `systemctl list-units --plain` rows: UNIT LOAD ACTIVE SUB DESCRIPTION
+const parseServiceUnits = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim().match(/^(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, name, loadState, activeState, subState, description]) => ({
+      name,
+      loadState,
+      activeState,
+      subState,
+      description,
+    }));
+
+const parseServiceProperties = (lines = []) => {
+  const properties = {};
+  for (const line of lines) {
+    const separator = line.indexOf("=");
+    if (separator > 0) {
+      properties[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+
+  const memory = parseInt(properties.MemoryCurrent);
+  return {
+    unit: properties.Id || null,
+    description: properties.Description || "",
+    loadState: properties.LoadState || null,
+    activeState: properties.ActiveState || null,
+    subState: properties.SubState || null,
+    unitFileState: properties.UnitFileState || null,
+    mainPid: parseInt(properties.MainPID) || null,
+    activeSince: properties.ActiveEnterTimestamp || null,
+    exitStatus: properties.ExecMainStatus === undefined ? null : parseInt(properties.ExecMainStatus),
+    // systemd reports [not set] or 2^64-1 when memory accounting is off
+    memoryBytes: Number.isSafeInteger(memory) ? memory : null,
+  };
+};
+
+const buildServiceShowCommand = (unit, sudo) =>
+  `${sudo ? "sudo -n " : ""}systemctl show --no-pager -p ${SERVICE_PROPERTIES.join(",")} -- ${unit}`;
+
+const registerServiceHandlers = (socket) => {
+  onClientEvent(socket, "service-list", async (options, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const type = SERVICE_UNIT_TYPES.includes(options.type) ? options.type : "service";
+    const result = await runQueuedCommand(
+      socket,
+      connection,
+      `systemctl list-units --type=${type} --all --plain --no-legend --no-pager`,
+      SERVICE_COMMAND_OPTIONS
+    );
+
+    if (result.status !== "completed" || result.exitCode !== 0) {
+      reply({ error: result.stderr.trim() || result.error || "Failed to list units" });
+      return;
+    }
+
+    const filter = String(options.filter || "").toLowerCase();
+    const units = parseServiceUnits(result.stdout).filter(
+      (unit) =>
+        (!filter || `${unit.name} ${unit.description}`.toLowerCase().includes(filter)) &&
+        (!options.state || unit.activeState === options.state)
+    );
+
+    reply({ type, units });
+  });
+
+  onClientEvent(socket, "service-action", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot manage services" });
+      return;
+    }
+
+    const { unit, action } = data;
+    if (!SERVICE_UNIT_PATTERN.test(unit || "")) {
+      reply({ error: `Invalid unit name: ${unit}` });
+      return;
+    }
+    if (!SERVICE_ACTIONS.includes(action)) {
+      reply({ error: `Unsupported action: ${action}. Use one of ${SERVICE_ACTIONS.join(", ")}` });
+      return;
+    }
+
+    console.log(`${socket.id}: systemctl ${action} ${unit}${data.sudo ? " with sudo" : ""}`);
+    const result = await runQueuedCommand(
+      socket,
+      connection,
+      `${data.sudo ? "sudo -n " : ""}systemctl ${action} --no-ask-password -- ${unit}`,
+      SERVICE_COMMAND_OPTIONS
+    );
+    const succeeded = result.status === "completed" && result.exitCode === 0;
+
+    // Report where the unit ended up either way
+    const show = await runQueuedCommand(socket, connection, buildServiceShowCommand(unit, data.sudo), SERVICE_COMMAND_OPTIONS);
+    const state = parseServiceProperties(show.stdout.split("\n"));
+
+    reply({
+      ...state,
+      unit,
+      action,
+      success: succeeded,
+      error: succeeded ? null : result.stderr.trim() || result.error,
+      needsElevation: !succeeded && needsElevation(result),
+    });
+  });
+
+  onClientEvent(socket, "service-status", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const { unit } = data;
+    if (!SERVICE_UNIT_PATTERN.test(unit || "")) {
+      reply({ error: `Invalid unit name: ${unit}` });
+      return;
+    }
+
+    const lines = Math.min(Math.max(parseInt(data.lines) || 50, 1), SERVICE_JOURNAL_MAX_LINES);
+    const sudo = data.sudo ? "sudo -n " : "";
+    // One exec for all three; `systemctl status` exits non-zero for inactive units
+    const result = await runQueuedCommand(
+      socket,
+      connection,
+      [
+        `echo '@@show'; ${buildServiceShowCommand(unit, data.sudo)}`,
+        `echo '@@status'; ${sudo}systemctl status --no-pager --full --lines=0 -- ${unit} 2>&1`,
+        `echo '@@journal'; ${sudo}journalctl --no-pager -o short-iso -n ${lines} -u ${unit} 2>&1`,
+      ].join("; "),
+      SERVICE_COMMAND_OPTIONS
+    );
+
+    if (result.status !== "completed") {
+      reply({ error: result.error || "Failed to read unit status" });
+      return;
+    }
+
+    const sections = splitMetricsSections(result.stdout);
+    const state = parseServiceProperties(sections.show);
+
+    if (state.loadState === "not-found") {
+      reply({ error: `Unit not found: ${unit}` });
+      return;
+    }
+
+    reply({
+      ...state,
+      unit,
+      status: (sections.status || []).join("\n"),
+      journal: sections.journal || [],
+    });
+  });
+};
+
+// Live log tailing - each subscription runs `journalctl -f` or `tail -F` on its
+// own exec channel and streams lines back in batches to the subscribing socket
+const MAX_LOG_SUBSCRIPTIONS = parseInt(process.env.MAX_LOG_SUBSCRIPTIONS) || 4; // Per session
+const LOG_BATCH_INTERVAL_MS = 200;
+const LOG_BATCH_MAX_LINES = 500;
+const LOG_MAX_PENDING_LINES = 5000; // Older lines are dropped past this
+const LOG_BACKLOG_MAX_LINES = 1000;
+const LOG_PRIORITIES = ["emerg", "alert", "crit", "err", "warning", "notice", "info", "debug"];
+const LOG_SINCE_PATTERN = /^[A-Za-z0-9 :.+-]{1,64}$/; // "2024-01-01 10:00", "-1h", "yesterday"
+
+// The shell prints its PID and execs the follower, so the PID is the follower's
+const buildLogCommand = (data) => {
+  const lines = Math.min(Math.max(parseInt(data.lines) || 0, 0), LOG_BACKLOG_MAX_LINES);
+
+  if (data.source === "file") {
+    const path = String(data.path || "");
+    if (!path.startsWith("/") || path.includes("\0") || path.length > 4096) {
+      throw new Error("path must be an absolute file path");
+    }
+    return `echo "@@pid $$"; exec tail -n ${lines} -F -- ${shellQuote(path)}`;
+  }
+
+  if (data.source === "docker") {
+    if (!DOCKER_CONTAINER_PATTERN.test(data.container || "")) {
+      throw new Error(`Invalid container: ${data.container}`);
+    }
+    if (data.since && !LOG_SINCE_PATTERN.test(data.since)) {
+      throw new Error(`Invalid since: ${data.since}`);
+    }
+    const since = data.since ? ` --since ${shellQuote(data.since)}` : "";
+    return `echo "@@pid $$"; exec ${data.sudo ? "sudo -n " : ""}docker logs -f --tail ${lines}${since} -- ${data.container}`;
+  }
+
+  if (data.source === "kubernetes") {
+    if (!K8S_NAME_PATTERN.test(data.pod || "") || (data.container && !K8S_NAME_PATTERN.test(data.container))) {
+      throw new Error("pod and container must be valid Kubernetes names");
+    }
+    if (data.since && !/^\d+[smh]$/.test(data.since)) {
+      throw new Error(`Invalid since: ${data.since}. Use a duration like 10m`);
+    }
+    const args = [
+      `--tail=${lines}`,
+      buildNamespaceArgs({ namespace: data.namespace }),
+      data.container ? `-c ${data.container}` : "",
+      data.since ? `--since=${data.since}` : "",
+    ];
+    return `echo "@@pid $$"; exec kubectl logs -f ${args.filter(Boolean).join(" ")} ${data.pod}`;
+  }
+
+  if (data.source !== "journal") {
+    throw new Error("source must be journal, file, docker or kubernetes");
+  }
+
+  const args = ["--no-pager", "-o short-iso", `-n ${lines}`, "-f"];
+  if (data.unit) {
+    if (!SERVICE_UNIT_PATTERN.test(data.unit)) {
+      throw new Error(`Invalid unit name: ${data.unit}`);
+    }
+    args.push(`-u ${data.unit}`);
+  }
+  if (data.priority !== undefined && data.priority !== null && data.priority !== "") {
+    const priority = LOG_PRIORITIES.includes(data.priority) ? data.priority : parseInt(data.priority);
+    if (!LOG_PRIORITIES.includes(priority) && !(priority >= 0 && priority <= 7)) {
+      throw new Error(`Invalid priority: ${data.priority}. Use 0-7 or one of ${LOG_PRIORITIES.join(", ")}`);
+    }
+    args.push(`-p ${priority}`);
+  }
+  if (data.since) {
+    if (!LOG_SINCE_PATTERN.test(data.since)) {
+      throw new Error(`Invalid since: ${data.since}`);
+    }
+    args.push(`--since ${shellQuote(data.since)}`);
+  }
+
+  return `echo "@@pid $$"; exec ${data.sudo ? "sudo -n " : ""}journalctl ${args.join(" ")}`;
+};
+
+const flushLogLines = (subscription) => {
+  clearTimeout(subscription.flushTimer);
+  subscription.flushTimer = null;
+
+  while (subscription.pending.length > 0 || subscription.dropped > 0) {
+    const lines = subscription.pending.splice(0, LOG_BATCH_MAX_LINES);
+    io.to(subscription.socketId).emit("log-lines", {
+      subscriptionId: subscription.subscriptionId,
+      seq: subscription.seq++,
+      lines,
+      dropped: subscription.dropped,
+    });
+    subscription.dropped = 0;
+  }
+};
+
+const queueLogLine = (subscription, stream, text) => {
+  subscription.pending.push({ stream, text });
+  if (subscription.pending.length > LOG_MAX_PENDING_LINES) {
+    subscription.dropped += subscription.pending.length - LOG_MAX_PENDING_LINES;
+    subscription.pending.splice(0, subscription.pending.length - LOG_MAX_PENDING_LINES);
+  }
+  if (!subscription.flushTimer) {
+    subscription.flushTimer = setTimeout(() => flushLogLines(subscription), LOG_BATCH_INTERVAL_MS);
+  }
+};
+
+// Splits decoded output into lines, keeping any partial line for the next chunk
+const createLineReader = (onLine) => {
+  const decoder = new StringDecoder("utf8");
+  let partial = "";
+  return (chunk) => {
+    const lines = (partial + decoder.write(chunk)).split("\n");
+    partial = lines.pop();
+    lines.forEach((line) => onLine(line.replace(/\r$/, "")));
+  };
+};
+
+const openLogSubscription = (socket, connection, data) =>
+  new Promise((resolve, reject) => {
+    const command = buildLogCommand(data);
+    const subscription = {
+      subscriptionId: crypto.randomBytes(6).toString("hex"),
+      socketId: socket.id,
+      source: data.source,
+      target: { file: data.path, docker: data.container, kubernetes: data.pod }[data.source] || data.unit || null,
+      stream: null,
+      pid: null,
+      seq: 0,
+      pending: [],
+      dropped: 0,
+      flushTimer: null,
+      startedAt: new Date(),
+    };
+
+    // Reserve the slot now so concurrent subscribes can't overshoot the limit
+    connection.logSubscriptions.set(subscription.subscriptionId, subscription);
+
+    const onExec = (err, stream) => {
+      if (err) {
+        connection.logSubscriptions.delete(subscription.subscriptionId);
+        reject(err);
+        return;
+      }
+
+      if (!connection.logSubscriptions.has(subscription.subscriptionId)) {
+        stream.close();
+        reject(new Error("Subscription cancelled"));
+        return;
+      }
+
+      subscription.stream = stream;
+
+      stream.on(
+        "data",
+        createLineReader((line) => {
+          if (subscription.pid === null && line.startsWith("@@pid ")) {
+            subscription.pid = parseInt(line.slice(6)) || 0;
+            return;
+          }
+          queueLogLine(subscription, "stdout", line);
+        })
+      );
+      stream.stderr.on("data", createLineReader((line) => queueLogLine(subscription, "stderr", line)));
+      stream.on("error", (streamErr) => {
+        console.error(`${socket.id}: Log subscription ${subscription.subscriptionId} error: ${streamErr.message}`);
+      });
+      stream.on("close", (code, signal) => {
+        flushLogLines(subscription);
+        // Unsubscribes remove the entry first; anything else is the follower exiting
+        if (connection.logSubscriptions.get(subscription.subscriptionId) === subscription) {
+          connection.logSubscriptions.delete(subscription.subscriptionId);
+          io.to(subscription.socketId).emit("log-ended", {
+            subscriptionId: subscription.subscriptionId,
+            exitCode: code === undefined ? null : code,
+            signal: signal || null,
+          });
+        }
+      });
+
+      resolve(subscription);
+    };
+
+    try {
+      connection.sshClient.exec(command, onExec);
+    } catch (err) {
+      onExec(err);
+    }
+  });
+
+// Signal the follower, then kill it by PID in case the server ignores exec signals
+const closeLogSubscription = (connection, subscription, { killRemote = true } = {}) => {
+  connection.logSubscriptions.delete(subscription.subscriptionId);
+  flushLogLines(subscription);
+
+  const { stream, pid } = subscription;
+  if (!stream) return;
+
+  try {
+    stream.signal("TERM");
+  } catch (err) {
+    // Not every server supports signals on exec channels
+  }
+
+  if (killRemote && pid) {
+    cmdQueue.add({
+      connection,
+      command: `kill -TERM ${pid} 2>/dev/null`,
+      socketId: subscription.socketId,
+      sessionId: connection.sessionId,
+      priority: "interactive",
+      callback: () => stream.close(),
+    });
+  } else {
+    stream.close();
+  }
+};
+
+const formatLogSubscription = (subscription) => ({
+  subscriptionId: subscription.subscriptionId,
+  source: subscription.source,
+  target: subscription.target,
+  pid: subscription.pid,
+  startedAt: subscription.startedAt,
+});
+
+const unsubscribeSocketLogs = (socketId, connection) => {
+  for (const subscription of [...(connection.logSubscriptions || new Map()).values()]) {
+    if (subscription.socketId === socketId) {
+      closeLogSubscription(connection, subscription);
+    }
+  }
+};
+
+// The SSH connection is going away, so closing the channels is all that is left
+const closeLogSubscriptions = (connection) => {
+  for (const subscription of [...(connection.logSubscriptions || new Map()).values()]) {
+    closeLogSubscription(connection, subscription, { killRemote: false });
+  }
+};
+
+const registerLogHandlers = (socket) => {
+  onClientEvent(socket, "log-subscribe", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    // Followers run remote commands and read any file, same as SFTP
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot follow logs" });
+      return;
+    }
+
+    if (!connection.logSubscriptions) {
+      connection.logSubscriptions = new Map();
+    }
+
+    if (connection.logSubscriptions.size >= MAX_LOG_SUBSCRIPTIONS) {
+      reply({ error: `Log subscription limit reached (${MAX_LOG_SUBSCRIPTIONS} per session)` });
+      return;
+    }
+
+    const limitError = checkChannelBudget(connection);
+    if (limitError) {
+      reply({ error: limitError });
+      return;
+    }
+
+    try {
+      const subscription = await openLogSubscription(socket, connection, data);
+      console.log(
+        `${socket.id}: Following ${subscription.source} ${subscription.target || ""} as ${subscription.subscriptionId}`
+      );
+      reply(formatLogSubscription(subscription));
+    } catch (err) {
+      reply({ error: err.message });
+    }
+  });
+
+  onClientEvent(socket, "log-unsubscribe", (data, reply) => {
+    const connection = getActiveConnection(socket);
+    const subscription = connection && (connection.logSubscriptions || new Map()).get(data.subscriptionId);
+
+    if (!subscription || subscription.socketId !== socket.id) {
+      reply({ error: `Unknown log subscription: ${data.subscriptionId}` });
+      return;
+    }
+
+    closeLogSubscription(connection, subscription);
+    console.log(`${socket.id}: Stopped log subscription ${subscription.subscriptionId}`);
+    reply({ subscriptionId: subscription.subscriptionId, unsubscribed: true });
+  });
+
+  onClientEvent(socket, "log-list", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    reply({
+      subscriptions: [...(connection.logSubscriptions || new Map()).values()]
+        .filter((subscription) => subscription.socketId === socket.id)
+        .map(formatLogSubscription),
+      limit: MAX_LOG_SUBSCRIPTIONS,
+    });
+  });
+};
+
+// Docker - the remote `docker` CLI with `{{json .}}` output, parsed into
+// compact objects. Container logs stream through log-subscribe (source "docker")
+const DOCKER_ACTIONS = ["start", "stop", "restart"];
+const DOCKER_CONTAINER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/; // Names and IDs
+
+// docker prints sizes like "12.5MiB" or "1.2kB"
+const DOCKER_SIZE_UNITS = {
+  b: 1,
+  kb: 1e3,
+  mb: 1e6,
+  gb: 1e9,
+  tb: 1e12,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4,
+};
+
+const parseDockerSize = (text) => {
+  const match = String(text || "").trim().match(/^([\d.]+)\s*([A-Za-z]+)$/);
+  if (!match) return null;
+  const unit = DOCKER_SIZE_UNITS[match[2].toLowerCase()];
+  return unit ? Math.round(parseFloat(match[1]) * unit) : null;
+};
+
+// "1.2MB / 3.4MB" -> [bytes, bytes]
+const parseDockerSizePair = (text) => String(text || "").split("/").map(parseDockerSize);
+
+const parseDockerPercent = (text) => {
+  const value = parseFloat(String(text || "").replace("%", ""));
+  return Number.isFinite(value) ? value : null;
+};
+
+const parseJsonLines = (text) =>
+  text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+const formatDockerContainer = (row) => ({
+  id: row.ID,
+  name: row.Names,
+  image: row.Image,
+  command: row.Command,
+  createdAt: row.CreatedAt,
+  state: row.State,
+  status: row.Status,
+  ports: row.Ports ? row.Ports.split(", ") : [],
+  labels: row.Labels || "",
+});
+
+const formatDockerImage = (row) => ({
+  id: row.ID,
+  repository: row.Repository,
+  tag: row.Tag,
+  createdAt: row.CreatedAt,
+  sizeBytes: parseDockerSize(row.Size),
+});
+
+const formatDockerStats = (row) => {
+  const [memoryUsedBytes, memoryLimitBytes] = parseDockerSizePair(row.MemUsage);
+  const [networkRxBytes, networkTxBytes] = parseDockerSizePair(row.NetIO);
+  const [blockReadBytes, blockWriteBytes] = parseDockerSizePair(row.BlockIO);
+  return {
+    id: row.ID,
+    name: row.Name,
+    cpuPercent: parseDockerPercent(row.CPUPerc),
+    memoryPercent: parseDockerPercent(row.MemPerc),
+    memoryUsedBytes,
+    memoryLimitBytes,
+    networkRxBytes,
+    networkTxBytes,
+    blockReadBytes,
+    blockWriteBytes,
+    pids: parseInt(row.PIDs) || 0,
+  };
+};
+
+// Tells a missing CLI, a socket permission problem and a stopped daemon apart
+const describeDockerFailure = (result) => {
+  const output = `${result.stderr || ""}\n${result.error || ""}`;
+
+  if (result.exitCode === 127 || /docker: (command )?not found/i.test(output)) {
+    return { error: "Docker is not installed on this host", code: "docker-missing" };
+  }
+  if (/permission denied.*docker/i.test(output)) {
+    return {
+      error: "Permission denied on the Docker socket; add the user to the docker group or use sudo",
+      code: "docker-permission-denied",
+      needsElevation: true,
+    };
+  }
+  if (/Cannot connect to the Docker daemon|Is the docker daemon running/i.test(output)) {
+    return { error: "Docker daemon is not running", code: "docker-unavailable" };
+  }
+  return { error: result.stderr.trim() || result.error || "docker command failed", code: "docker-error" };
+};
+
+// Resolves to { result } or to a failure description ready for the reply
+const runDockerCommand = async (socket, connection, args, sudo) => {
+  const result = await runQueuedCommand(socket, connection, `${sudo ? "sudo -n " : ""}docker ${args}`);
+  return result.status === "completed" && result.exitCode === 0 ? { result } : describeDockerFailure(result);
+};
+
+const registerDockerHandlers = (socket) => {
+  onClientEvent(socket, "docker-containers", async (options, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const { result, ...failure } = await runDockerCommand(
+      socket,
+      connection,
+      `ps --no-trunc --format '{{json .}}'${options.all === false ? "" : " --all"}`,
+      options.sudo
+    );
+    reply(result ? { containers: parseJsonLines(result.stdout).map(formatDockerContainer) } : failure);
+  });
+
+  onClientEvent(socket, "docker-images", async (options, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const { result, ...failure } = await runDockerCommand(
+      socket,
+      connection,
+      "images --no-trunc --format '{{json .}}'",
+      options.sudo
+    );
+    reply(result ? { images: parseJsonLines(result.stdout).map(formatDockerImage) } : failure);
+  });
+
+  onClientEvent(socket, "docker-stats", async (options, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const containers = Array.isArray(options.containers) ? options.containers : [];
+    const invalid = containers.find((container) => !DOCKER_CONTAINER_PATTERN.test(container));
+    if (invalid !== undefined) {
+      reply({ error: `Invalid container: ${invalid}` });
+      return;
+    }
+
+    const { result, ...failure } = await runDockerCommand(
+      socket,
+      connection,
+      `stats --no-stream --no-trunc --format '{{json .}}'${containers.length ? ` -- ${containers.join(" ")}` : ""}`,
+      options.sudo
+    );
+    reply(result ? { stats: parseJsonLines(result.stdout).map(formatDockerStats) } : failure);
+  });
+
+  onClientEvent(socket, "docker-action", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot manage containers" });
+      return;
+    }
+
+    const { container, action } = data;
+    if (!DOCKER_CONTAINER_PATTERN.test(container || "")) {
+      reply({ error: `Invalid container: ${container}` });
+      return;
+    }
+    if (!DOCKER_ACTIONS.includes(action)) {
+      reply({ error: `Unsupported action: ${action}. Use one of ${DOCKER_ACTIONS.join(", ")}` });
+      return;
+    }
+
+    console.log(`${socket.id}: docker ${action} ${container}`);
+    const outcome = await runDockerCommand(socket, connection, `${action} -- ${container}`, data.sudo);
+    if (!outcome.result) {
+      reply({ container, action, success: false, ...outcome });
+      return;
+    }
+
+    const inspect = await runDockerCommand(
+      socket,
+      connection,
+      `inspect --format '{{json .State}}' -- ${container}`,
+      data.sudo
+    );
+    const [state] = inspect.result ? parseJsonLines(inspect.result.stdout) : [];
+
+    reply({
+      container,
+      action,
+      success: true,
+      state: state ? state.Status : null,
+      running: state ? state.Running : null,
+      startedAt: state ? state.StartedAt : null,
+      exitCode: state ? state.ExitCode : null,
+    });
+  });
+};
+
+// Kubernetes - read-only inspection through the host's own kubectl and
+// kubeconfig. `-o json` output is reduced to what the UI shows
+const KUBECTL_OUTPUT_MAX_BYTES = 32 * 1024 * 1024; // Pod lists of big clusters are large
+const K8S_NAME_PATTERN = /^[a-z0-9]([-a-z0-9.]{0,251}[a-z0-9])?$/; // DNS-1123 names
+const K8S_KIND_PATTERN = /^[A-Za-z][A-Za-z0-9.-]{0,62}$/; // "pod", "deployments.apps"
+
+const describeKubectlFailure = (result) => {
+  const output = `${result.stderr || ""}\n${result.error || ""}`;
+
+  if (result.exitCode === 127 || /kubectl: (command )?not found/i.test(output)) {
+    return { error: "kubectl is not installed on this host", code: "kubectl-missing" };
+  }
+  if (result.truncated) {
+    return { error: "kubectl output is too large; narrow it down with a namespace or selector", code: "kubectl-error" };
+  }
+  return { error: result.stderr.trim() || result.error || "kubectl command failed", code: "kubectl-error" };
+};
+
+const runKubectl = async (socket, connection, args) => {
+  const result = await runQueuedCommand(socket, connection, `kubectl ${args}`, {
+    maxOutputBytes: KUBECTL_OUTPUT_MAX_BYTES,
+  });
+  return result.status === "completed" && result.exitCode === 0 && !result.truncated
+    ? { result }
+    : describeKubectlFailure(result);
+};
+
+// `-o json` list -> items, or a failure description ready for the reply
+const listKubernetesItems = async (socket, connection, args) => {
+  const { result, ...failure } = await runKubectl(socket, connection, `${args} -o json`);
+  if (!result) return failure;
+
+  try {
+    return { items: JSON.parse(result.stdout).items || [] };
+  } catch (err) {
+    return { error: `Unexpected kubectl output: ${err.message}`, code: "kubectl-error" };
+  }
+};
+
+// Namespace flags from { namespace, allNamespaces }, validated
+const buildNamespaceArgs = (data) => {
+  if (data.allNamespaces) return "--all-namespaces";
+  if (!data.namespace) return "";
+  if (!K8S_NAME_PATTERN.test(data.namespace)) {
+    throw new Error(`Invalid namespace: ${data.namespace}`);
+  }
+  return `-n ${data.namespace}`;
+};
+
+const buildSelectorArgs = (data) => (data.selector ? `-l ${shellQuote(String(data.selector))}` : "");
+
+const formatNamespace = (item) => ({
+  name: item.metadata.name,
+  status: (item.status || {}).phase || null,
+  createdAt: item.metadata.creationTimestamp,
+});
+
+const formatPod = (item) => {
+  const statuses = (item.status || {}).containerStatuses || [];
+  const containers = (item.spec || {}).containers || [];
+  const waiting = statuses.map((status) => (status.state || {}).waiting).find(Boolean);
+  return {
+    name: item.metadata.name,
+    namespace: item.metadata.namespace,
+    // CrashLoopBackOff and friends are more useful than a bare "Running"
+    phase: waiting ? waiting.reason : (item.status || {}).phase || null,
+    ready: statuses.filter((status) => status.ready).length,
+    total: containers.length,
+    restarts: statuses.reduce((sum, status) => sum + (status.restartCount || 0), 0),
+    containers: containers.map((container) => container.name),
+    node: (item.spec || {}).nodeName || null,
+    podIP: (item.status || {}).podIP || null,
+    createdAt: item.metadata.creationTimestamp,
+  };
+};
+
+const formatDeployment = (item) => {
+  const status = item.status || {};
+  return {
+    name: item.metadata.name,
+    namespace: item.metadata.namespace,
+    replicas: (item.spec || {}).replicas || 0,
+    ready: status.readyReplicas || 0,
+    updated: status.updatedReplicas || 0,
+    available: status.availableReplicas || 0,
+    images: ((((item.spec || {}).template || {}).spec || {}).containers || []).map((container) => container.image),
+    createdAt: item.metadata.creationTimestamp,
+  };
+};
+
+const formatNode = (item) => {
+  const status = item.status || {};
+  const labels = item.metadata.labels || {};
+  const ready = (status.conditions || []).find((condition) => condition.type === "Ready");
+  const internalIP = (status.addresses || []).find((address) => address.type === "InternalIP");
+  return {
+    name: item.metadata.name,
+    roles: Object.keys(labels)
+      .filter((label) => label.startsWith("node-role.kubernetes.io/"))
+      .map((label) => label.slice("node-role.kubernetes.io/".length)),
+    ready: ready ? ready.status === "True" : false,
+    unschedulable: !!(item.spec || {}).unschedulable,
+    version: (status.nodeInfo || {}).kubeletVersion || null,
+    osImage: (status.nodeInfo || {}).osImage || null,
+    internalIP: internalIP ? internalIP.address : null,
+    cpu: (status.capacity || {}).cpu || null,
+    memory: (status.capacity || {}).memory || null,
+    createdAt: item.metadata.creationTimestamp,
+  };
+};
+
+// One handler per list event; they only differ in the kubectl resource and formatter
+const K8S_LISTS = {
+  "k8s-namespaces": { resource: "namespaces", key: "namespaces", format: formatNamespace, namespaced: false },
+  "k8s-pods": { resource: "pods", key: "pods", format: formatPod, namespaced: true },
+  "k8s-deployments": { resource: "deployments", key: "deployments", format: formatDeployment, namespaced: true },
+  "k8s-nodes": { resource: "nodes", key: "nodes", format: formatNode, namespaced: false },
+};
+
+const registerKubernetesHandlers = (socket) => {
+  for (const [event, list] of Object.entries(K8S_LISTS)) {
+    onClientEvent(socket, event, async (options, reply) => {
+      const connection = getActiveConnection(socket);
+
+      if (!connection) {
+        reply({ error: "No active SSH connection" });
+        return;
+      }
+
+      let args;
+      try {
+        args = [list.resource, list.namespaced ? buildNamespaceArgs(options) : "", buildSelectorArgs(options)]
+          .filter(Boolean)
+          .join(" ");
+      } catch (err) {
+        reply({ error: err.message });
+        return;
+      }
+
+      const { items, ...failure } = await listKubernetesItems(socket, connection, `get ${args}`);
+      reply(items ? { [list.key]: items.map(list.format) } : failure);
+    });
+  }
+
+  onClientEvent(socket, "k8s-describe", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const { kind, name } = data;
+    if (!K8S_KIND_PATTERN.test(kind || "") || !K8S_NAME_PATTERN.test(name || "")) {
+      reply({ error: "kind and name must be valid Kubernetes identifiers" });
+      return;
+    }
+
+    let namespaceArgs;
+    try {
+      namespaceArgs = buildNamespaceArgs({ namespace: data.namespace });
+    } catch (err) {
+      reply({ error: err.message });
+      return;
+    }
+
+    const { result, ...failure } = await runKubectl(socket, connection, `describe ${kind} ${name} ${namespaceArgs}`.trim());
+    reply(result ? { kind, name, namespace: data.namespace || null, description: result.stdout } : failure);
+  });
+
+  // Interactive `kubectl exec` in a terminal tab of its own
+  onClientEvent(socket, "k8s-exec", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot open shells" });
+      return;
+    }
+
+    const { pod, container } = data;
+    if (!K8S_NAME_PATTERN.test(pod || "") || (container && !K8S_NAME_PATTERN.test(container))) {
+      reply({ error: "pod and container must be valid Kubernetes names" });
+      return;
+    }
+
+    let namespaceArgs;
+    try {
+      namespaceArgs = buildNamespaceArgs({ namespace: data.namespace });
+    } catch (err) {
+      reply({ error: err.message });
+      return;
+    }
+
+    // Prefer bash, fall back to sh for minimal images
+    const command = [
+      "kubectl exec -it",
+      namespaceArgs,
+      pod,
+      container ? `-c ${container}` : "",
+      "--",
+      "sh -c",
+      shellQuote("command -v bash >/dev/null && exec bash || exec sh"),
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    const limitError = checkShellLimit(connection);
+    if (limitError) {
+      reply({ error: limitError });
+      return;
+    }
+
+    const shellId = crypto.randomBytes(6).toString("hex");
+    const shell = await createShell(socket, connection, {
+      shellId,
+      name: `${data.namespace ? `${data.namespace}/` : ""}${pod}${container ? `:${container}` : ""}`,
+      cols: parseInt(data.cols) || connection.cols || 80,
+      rows: parseInt(data.rows) || connection.rows || 24,
+      command,
+    });
+
+    if (!shell) {
+      reply({ error: "Failed to open kubectl exec channel" });
+      return;
+    }
+
+    console.log(`${socket.id}: Opened kubectl exec shell ${shellId} into ${pod}`);
+    emitToSession(connection, "shell-opened", formatShell(shell));
+    reply(formatShell(shell));
+  });
+};
+
+// Start heartbeat for client connection
+const startHeartbeat = (socket, sessionId) => {
+  // Clear any existing heartbeat interval
+  if (socket.heartbeatInterval) {
+    clearInterval(socket.heartbeatInterval);
+    socket.heartbeatInterval = null;
+  }
+
+  // Set up heartbeat
+  socket.heartbeatInterval = setInterval(() => {
+    if (!sshConnections.has(sessionId)) {
+      clearInterval(socket.heartbeatInterval);
+      socket.heartbeatInterval = null;
+      return;
+    }
+
+    // Send a lightweight heartbeat to keep the connection alive, with the
+    // scrollback offsets so clients know where to resume after a reconnect
+    const connection = sshConnections.get(sessionId);
+    const defaultShell = getShell(connection);
+    socket.emit("ssh-heartbeat", {
+      timestamp: Date.now(),
+      scrollbackOffset: defaultShell ? defaultShell.scrollback.endOffset : 0,
+      scrollbackOffsets: getScrollbackOffsets(connection),
+    });
+  }, 5000); // Every 5 seconds
+
+  // Clean up on disconnect
+  socket.once("disconnect", () => {
+    if (socket.heartbeatInterval) {
+      clearInterval(socket.heartbeatInterval);
+      socket.heartbeatInterval = null;
+    }
+  });
+};
+
+// Authentication prompt relay - password/OTP answers come back from the browser
+const AUTH_PROMPT_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes to answer a prompt
+const pendingAuthPrompts = new Map();
+
+const requestAuthResponses = (socket, prompt, eventName = "ssh-auth-prompt") =>
+  new Promise((resolve, reject) => {
+    const promptId = crypto.randomUUID();
+
+    const timer = setTimeout(() => {
+      pendingAuthPrompts.delete(promptId);
+      reject(new Error("authentication prompt timed out"));
+    }, AUTH_PROMPT_TIMEOUT_MS);
+
+    pendingAuthPrompts.set(promptId, { socketId: socket.id, resolve, reject, timer });
+
+    console.log(`${socket.id}: Sending ${eventName} (${prompt.method}) to client`);
+    socket.emit(eventName, { promptId, ...prompt });
+  });
+
+const settleAuthPrompt = (promptId, settle) => {
+  const pending = pendingAuthPrompts.get(promptId);
+  if (!pending) return false;
+
+  clearTimeout(pending.timer);
+  pendingAuthPrompts.delete(promptId);
+  settle(pending);
+  return true;
+};
+
+// Reject outstanding prompts when the socket that should answer them goes away
+const cancelAuthPrompts = (socketId, reason) => {
+  for (const [promptId, pending] of pendingAuthPrompts.entries()) {
+    if (pending.socketId === socketId) {
+      settleAuthPrompt(promptId, ({ reject }) => reject(new Error(reason)));
+    }
+  }
+};
+
+// Host key verification - trust-on-first-use store keyed by host:port
+const KNOWN_HOSTS_FILE =
+  process.env.KNOWN_HOSTS_FILE || path.join(__dirname, "known_hosts.json");
+// tofu: ask the client about unknown keys, accept-new: trust them silently,
+// strict: only connect to pre-seeded hosts
+const HOST_KEY_POLICY = ["tofu", "accept-new", "strict"].includes(process.env.HOST_KEY_POLICY)
+  ? process.env.HOST_KEY_POLICY
+  : "tofu";
+
+const loadKnownHosts = () => {
+  try {
+    if (!fs.existsSync(KNOWN_HOSTS_FILE)) {
+      return new Map();
+    }
+    const entries = JSON.parse(fs.readFileSync(KNOWN_HOSTS_FILE, "utf8"));
+    return new Map(Object.entries(entries));
+  } catch (err) {
+    console.error(`Failed to load known hosts from ${KNOWN_HOSTS_FILE}: ${err.message}`);
+    return new Map();
+  }
+};
+
+const knownHosts = loadKnownHosts();
+
+const saveKnownHosts = () => {
+  try {
+    // Write to a temp file first so a crash never leaves a truncated store
+    const tmpFile = `${KNOWN_HOSTS_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(knownHosts), null, 2));
+    fs.renameSync(tmpFile, KNOWN_HOSTS_FILE);
+  } catch (err) {
+    console.error(`Failed to save known hosts to ${KNOWN_HOSTS_FILE}: ${err.message}`);
+  }
+};
+
+const getHostKeyId = (host, port) => `${String(host).toLowerCase()}:${parseInt(port) || 22}`;
+
+// OpenSSH style fingerprint of a raw public key blob
+const getHostKeyFingerprint = (keyBlob) =>
+  `SHA256:${crypto.createHash("sha256").update(keyBlob).digest("base64").replace(/=+$/, "")}`;
+
+// The key blob starts with a length-prefixed key type string
+const getHostKeyType = (keyBlob) => {
+  try {
+    const length = keyBlob.readUInt32BE(0);
+    return keyBlob.subarray(4, 4 + length).toString("ascii");
+  } catch (err) {
+    return "unknown";
+  }
+};
+
+const trustHostKey = (host, port, entry) => {
+  knownHosts.set(getHostKeyId(host, port), {
+    ...entry,
+    addedAt: new Date().toISOString(),
+  });
+  saveKnownHosts();
+};
+
+// Build an ssh2 hostVerifier that checks the presented key against the store.
+// `prompt` asks the client to confirm unknown keys and resolves to true/false.
+const createHostVerifier = (socket, { host, port, trustedFingerprint, prompt }) => (
+  keyBlob,
+  verify
+) => {
+  const hostKeyId = getHostKeyId(host, port);
+  const fingerprint = getHostKeyFingerprint(keyBlob);
+  const keyType = getHostKeyType(keyBlob);
+  const known = knownHosts.get(hostKeyId);
+
+  if (known) {
+    if (known.fingerprint === fingerprint) {
+      verify(true);
+      return;
+    }
+
+    console.error(
+      `${socket.id}: HOST KEY CHANGED for ${hostKeyId} - expected ${known.fingerprint}, got ${fingerprint}`
+    );
+    socket.emit("ssh-host-key-changed", {
+      host,
+      port,
+      keyType,
+      fingerprint,
+      expectedFingerprint: known.fingerprint,
+      expectedKeyType: known.keyType,
+    });
+    socket.emit("ssh-error", {
+      message: `Host key for ${hostKeyId} has changed - connection blocked. Ask an administrator to verify and update the known host entry.`,
+    });
+    verify(false);
+    return;
+  }
+
+  // Client already knows which key to expect (e.g. confirmed out of band)
+  if (trustedFingerprint && trustedFingerprint === fingerprint) {
+    console.log(`${socket.id}: Trusting pre-confirmed host key for ${hostKeyId}`);
+    trustHostKey(host, port, { keyType, fingerprint, source: "client" });
+    verify(true);
+    return;
+  }
+
+  if (HOST_KEY_POLICY === "strict") {
+    console.error(`${socket.id}: Unknown host key for ${hostKeyId} rejected (strict policy)`);
+    socket.emit("ssh-error", {
+      message: `Host ${hostKeyId} is not in the known hosts list`,
+    });
+    verify(false);
+    return;
+  }
+
+  if (HOST_KEY_POLICY === "accept-new") {
+    console.log(`${socket.id}: Trusting new host key for ${hostKeyId} (${fingerprint})`);
+    trustHostKey(host, port, { keyType, fingerprint, source: "tofu" });
+    verify(true);
+    return;
+  }
+
+  prompt({ method: "host-key", host, port, keyType, fingerprint })
+    .then((accepted) => {
+      if (accepted) {
+        console.log(`${socket.id}: Client accepted host key for ${hostKeyId} (${fingerprint})`);
+        trustHostKey(host, port, { keyType, fingerprint, source: "tofu" });
+      } else {
+        console.log(`${socket.id}: Client rejected host key for ${hostKeyId}`);
+        socket.emit("ssh-error", { message: `Host key for ${hostKeyId} was rejected` });
+      }
+      verify(!!accepted);
+    })
+    .catch((err) => {
+      console.error(`${socket.id}: Host key confirmation failed: ${err.message}`);
+      socket.emit("ssh-error", { message: `Host key not confirmed: ${err.message}` });
+      verify(false);
+    });
+};
+
+// Normalize a PEM/OpenSSH private key, returns null when the format is invalid
+const normalizePrivateKey = (privateKey) => {
+  const key = String(privateKey).trim();
+  if (!key.includes("-----BEGIN") && !key.includes("-----END")) {
+    return null;
+  }
+
+  // Normalize line endings in the private key (important for SSH)
+  return key.replace(/\r\n/g, "\n");
+};
+
+// Algorithms offered to every SSH server, including jump hosts
+const SSH_ALGORITHMS = {
+  // Explicitly define supported algorithms for better compatibility
+  kex: [
+    "curve25519-sha256",
+    "curve25519-sha256@libssh.org",
+    "ecdh-sha2-nistp256",
+    "ecdh-sha2-nistp384",
+    "ecdh-sha2-nistp521",
+    "diffie-hellman-group-exchange-sha256",
+    "diffie-hellman-group14-sha1", // More compatible with older servers
+  ],
+  serverHostKey: [
+    "ssh-rsa",
+    "rsa-sha2-512",
+    "rsa-sha2-256",
+    "ecdsa-sha2-nistp256",
+    "ecdsa-sha2-nistp384",
+    "ecdsa-sha2-nistp521",
+    "ssh-ed25519",
+  ],
+  cipher: [
+    "aes128-gcm@openssh.com",
+    "aes256-gcm@openssh.com",
+    "aes128-ctr",
+    "aes192-ctr",
+    "aes256-ctr",
+    "aes128-cbc", // More compatible with older servers
+    "aes256-cbc", // More compatible with older servers
+  ],
+  hmac: [
+    "hmac-sha2-256-etm@openssh.com",
+    "hmac-sha2-512-etm@openssh.com",
+    "hmac-sha2-256",
+    "hmac-sha2-512",
+    "hmac-sha1", // More compatible with older servers
+  ],
+  compress: ["none", "zlib@openssh.com"],
+};
+
+// Configure authentication for an ssh2 client - private key, password and
+// keyboard-interactive prompts relayed to the browser. `label` prefixes the
+// messages so jump hosts can be told apart from the target.
+const configureClientAuth = (socket, sshClient, connectConfig, options) => {
+  const {
+    username,
+    host,
+    privateKey,
+    passphrase,
+    password,
+    promptClient,
+    abort,
+    label = "",
+  } = options;
+
+  // CRITICAL: Fix for authentication issues
+  if (privateKey) {
+    // Use privateKey with or without passphrase
+    connectConfig.privateKey = privateKey;
+
+    // Only add passphrase if it exists
+    if (passphrase && passphrase.length > 0) {
+      connectConfig.passphrase = passphrase;
+      console.log(`${socket.id}: ${label}Using private key with passphrase`);
+    } else {
+      console.log(`${socket.id}: ${label}Using private key without passphrase`);
+    }
+  }
+
+  if (password) {
+    connectConfig.password = password;
+  }
+
+  // Let ssh2 run keyboard-interactive; prompts are relayed to the browser
+  connectConfig.tryKeyboard = true;
+
+  // Track methods already tried so a rejected method isn't retried forever
+  const attemptedMethods = new Set();
+
+  // Explicitly set auth method to avoid "no valid auth methods available"
+  connectConfig.authHandler = function (
+    methodsLeft,
+    partialSuccess,
+    callback
+  ) {
+    // Add null check to prevent "Cannot read properties of null (reading 'join')" error
+    if (!methodsLeft || !Array.isArray(methodsLeft)) {
+      if (privateKey) {
+        console.log(
+          `${socket.id}: ${label}WARNING - Auth methods list is ${
+            methodsLeft === null ? "null" : "invalid"
+          }, defaulting to publickey`
+        );
+        socket.emit(
+          "ssh-data",
+          `\r\n\x1b[33m${label}Warning: Auth methods unavailable, trying default authentication\x1b[0m\r\n`
+        );
+        attemptedMethods.add("publickey");
+        return callback("publickey");
+      }
+
+      if (password) {
+        console.log(`${socket.id}: ${label}No private key, defaulting to password`);
+        attemptedMethods.add("password");
+        return callback("password");
+      }
+
+      // Nothing to offer yet - ask the server which methods it supports
+      return callback("none");
+    }
+
+    console.log(
+      `${socket.id}: ${label}Auth methods available: ${methodsLeft.join(", ")}`
+    );
+    socket.emit(
+      "ssh-data",
+      `\r\n\x1b[33m${label}Auth methods available: ${methodsLeft.join(
+        ", "
+      )}\x1b[0m\r\n`
+    );
+
+    const canUse = (method) =>
+      methodsLeft.includes(method) && !attemptedMethods.has(method);
+
+    // Priority of auth method selection
+    if (privateKey && canUse("publickey")) {
+      console.log(
+        `${socket.id}: ${label}Selecting 'publickey' authentication method`
+      );
+      attemptedMethods.add("publickey");
+      return callback("publickey");
+    }
+
+    if (canUse("keyboard-interactive")) {
+      console.log(
+        `${socket.id}: ${label}Selecting 'keyboard-interactive' authentication method`
+      );
+      attemptedMethods.add("keyboard-interactive");
+      return callback("keyboard-interactive");
+    }
+
+    if (canUse("password")) {
+      console.log(
+        `${socket.id}: ${label}Selecting 'password' authentication method`
+      );
+      attemptedMethods.add("password");
+
+      if (password) {
+        return callback("password");
+      }
+
+      // No password supplied up front - ask the user for one
+      promptClient({
+        method: "password",
+        name: "Password authentication",
+        instructions: "",
+        prompts: [{ prompt: `${username}@${host}'s password: `, echo: false }],
+      })
+        .then(([answer]) =>
+          callback({ type: "password", username, password: String(answer ?? "") })
+        )
+        .catch((err) => abort(`Authentication aborted: ${err.message}`));
+      return;
+    }
+
+    // Every usable method has been tried
+    console.log(`${socket.id}: ${label}No remaining authentication methods to try`);
+    callback(false);
+  };
+
+  // Track whether the supplied password was already used for a keyboard prompt
+  let passwordUsedForKeyboard = false;
+
+  // Relay keyboard-interactive prompts (password, OTP, PAM) to the client
+  sshClient.on(
+    "keyboard-interactive",
+    (name, instructions, lang, prompts, finish) => {
+      console.log(
+        `${socket.id}: ${label}Keyboard-interactive auth initiated: ${prompts.length} prompts`
+      );
+
+      // Some servers send an empty info request before the real prompts
+      if (prompts.length === 0) {
+        finish([]);
+        return;
+      }
+
+      // Answer a lone password prompt with the password supplied on connect
+      if (
+        password &&
+        !passwordUsedForKeyboard &&
+        prompts.length === 1 &&
+        !prompts[0].echo &&
+        /password/i.test(prompts[0].prompt)
+      ) {
+        passwordUsedForKeyboard = true;
+        finish([password]);
+        return;
+      }
+
+      // Notify client about the authentication attempt
+      socket.emit(
+        "ssh-data",
+        `\r\n\x1b[33m${label}Attempting keyboard-interactive authentication...\x1b[0m\r\n`
+      );
+
+      promptClient({
+        method: "keyboard-interactive",
+        name,
+        instructions,
+        prompts: prompts.map(({ prompt, echo }) => ({ prompt, echo: !!echo })),
+      })
+        .then((responses) =>
+          finish(prompts.map((_, i) => String(responses[i] ?? "")))
+        )
+        .catch((err) => abort(`Authentication aborted: ${err.message}`));
+    }
+  );
+};
+
+// Jump host chaining - each hop is an ssh2 client whose forwardOut stream
+// becomes the transport (`sock`) of the next hop, like OpenSSH's ProxyJump
+const connectThroughJumpHosts = async (socket, connection, jumpHosts, options) => {
+  const { promptClient, onHopReady } = options;
+  let sock = null;
+
+  for (const [index, hop] of jumpHosts.entries()) {
+    const hopNumber = index + 1;
+    const label = `[jump ${hopNumber}] `;
+    const next = jumpHosts[index + 1] || { host: connection.host, port: connection.port };
+    const hopClient = new ssh2.Client();
+    connection.jumpClients.push(hopClient);
+
+    try {
+      socket.emit(
+        "ssh-data",
+        `\r\n\x1b[33m${label}Connecting to jump host ${hop.username}@${hop.host}:${hop.port}...\x1b[0m\r\n`
+      );
+
+      await new Promise((resolve, reject) => {
+        let settled = false;
+        const fail = (err) => {
+          if (settled) return;
+          settled = true;
+          reject(err);
+        };
+
+        // Prompts for a hop carry its number so the UI can label them
+        const hopPrompt = (prompt, eventName) =>
+          promptClient({ ...prompt, hop: hopNumber }, eventName);
+
+        const hopConfig = {
+          host: hop.host,
+          port: hop.port,
+          username: hop.username,
+          readyTimeout: 0, // Bounded by the hard auth timeout, which pauses during prompts
+          keepaliveInterval: 10000,
+          keepaliveCountMax: 3,
+          algorithms: SSH_ALGORITHMS,
+          hostVerifier: createHostVerifier(socket, {
+            host: hop.host,
+            port: hop.port,
+            trustedFingerprint: hop.hostKeyFingerprint,
+            prompt: (prompt) =>
+              hopPrompt(prompt, "ssh-host-key-verify").then(([accepted]) => accepted === true),
+          }),
+        };
+        if (sock) {
+          hopConfig.sock = sock;
+        }
+
+        configureClientAuth(socket, hopClient, hopConfig, {
+          username: hop.username,
+          host: hop.host,
+          privateKey: hop.privateKey,
+          passphrase: hop.passphrase,
+          password: hop.password,
+          promptClient: hopPrompt,
+          abort: (message) => fail(new Error(message)),
+          label,
+        });
+
+        hopClient.once("ready", () => {
+          settled = true;
+          resolve();
+        });
+        hopClient.once("error", fail);
+        hopClient.once("close", () => fail(new Error("Connection closed before authentication")));
+        hopClient.connect(hopConfig);
+      });
+
+      console.log(`${socket.id}: ${label}Authenticated to ${hop.username}@${hop.host}:${hop.port}`);
+      if (typeof onHopReady === "function") {
+        onHopReady(hopNumber);
+      }
+
+      // A hop dropping later takes the rest of the chain down with it
+      hopClient.on("error", (err) => {
+        console.error(`${socket.id}: ${label}Jump host error: ${err.message}`);
+      });
+
+      sock = await new Promise((resolve, reject) => {
+        hopClient.forwardOut("127.0.0.1", 0, next.host, parseInt(next.port), (err, stream) => {
+          if (err) {
+            reject(new Error(`Failed to open tunnel to ${next.host}:${next.port}: ${err.message}`));
+            return;
+          }
+          resolve(stream);
+        });
+      });
+    } catch (err) {
+      err.hop = hopNumber;
+      throw err;
+    }
+  }
+
+  return sock;
+};
+
+const closeJumpClients = (connection) => {
+  if (!connection.jumpClients || connection.jumpClients.length === 0) return;
+
+  // Close from the target side back towards the first bastion
+  for (const jumpClient of [...connection.jumpClients].reverse()) {
+    try {
+      jumpClient.end();
+    } catch (err) {
+      console.error(`Error ending jump host client: ${err.message}`);
+    }
+  }
+  connection.jumpClients = [];
+};
+
+// Look up the authenticated connection bound to a socket
+const getActiveConnection = (socket) => {
+  const sessionId = socketToSession.get(socket.id);
+  if (!sessionId || !sshConnections.has(sessionId)) {
+    return null;
+  }
+
+  const connection = sshConnections.get(sessionId);
+  if (!connection.sshClient || !connection.authenticated) {
+    return null;
+  }
+
+  return connection;
+};
+
+// SFTP management - one SFTP subsystem per connection, opened on first use
+const SFTP_MAX_READ_SIZE = 5 * 1024 * 1024; // 5MB limit for whole-file reads
+const SFTP_DEFAULT_CHUNK_SIZE = 64 * 1024;
+const SFTP_MAX_CHUNK_SIZE = 1024 * 1024;
+// Downloads pause while this many packets wait in the socket's write buffer
+const SFTP_DOWNLOAD_MAX_BUFFERED_PACKETS = 8;
+
+const getSftp = (connection) => {
+  if (connection.sftp) {
+    return Promise.resolve(connection.sftp);
+  }
+
+  // Share a pending open between concurrent requests
+  if (connection.sftpPending) {
+    return connection.sftpPending;
+  }
+
+  const limitError = checkChannelBudget(connection);
+  if (limitError) {
+    return Promise.reject(new Error(limitError));
+  }
+
+  connection.sftpPending = new Promise((resolve, reject) => {
+    connection.sshClient.sftp((err, sftp) => {
+      connection.sftpPending = null;
+
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      connection.sftp = sftp;
+      sftp.on("close", () => {
+        if (connection.sftp === sftp) {
+          connection.sftp = null;
+        }
+      });
+      resolve(sftp);
+    });
+  });
+
+  return connection.sftpPending;
+};
+
+// Promisify a single callback-style SFTP method call
+const sftpCall = (sftp, method, ...args) =>
+  new Promise((resolve, reject) => {
+    sftp[method](...args, (err, result) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(result);
+    });
+  });
+
+const getSftpEntryType = (attrs) => {
+  if (attrs.isDirectory()) return "directory";
+  if (attrs.isFile()) return "file";
+  if (attrs.isSymbolicLink()) return "symlink";
+  return "other";
+};
+
+const formatSftpAttrs = (attrs) => ({
+  type: getSftpEntryType(attrs),
+  size: attrs.size,
+  mode: attrs.mode,
+  permissions: (attrs.mode & 0o7777).toString(8),
+  uid: attrs.uid,
+  gid: attrs.gid,
+  atime: attrs.atime,
+  mtime: attrs.mtime,
+});
+
+// Close an in-flight upload or download and forget about it
+const closeSftpTransfer = (connection, transferId) => {
+  const transfer = connection.sftpTransfers && connection.sftpTransfers.get(transferId);
+  if (!transfer) return;
+
+  connection.sftpTransfers.delete(transferId);
+
+  try {
+    if (transfer.stream && !transfer.stream.destroyed) {
+      transfer.stream.destroy();
+    }
+    if (transfer.handle && connection.sftp) {
+      connection.sftp.close(transfer.handle, () => {});
+    }
+  } catch (err) {
+    console.error(`Error closing SFTP transfer ${transferId}: ${err.message}`);
+  }
+};
+
+// A socket that leaves the session takes its transfers with it
+const closeSocketTransfers = (socketId, connection) => {
+  for (const [transferId, transfer] of [...(connection.sftpTransfers || new Map()).entries()]) {
+    if (transfer.socketId === socketId) {
+      closeSftpTransfer(connection, transferId);
+    }
+  }
+};
+
+const reserveTransferId = (connection, transferId) => {
+  if (!connection.sftpTransfers) {
+    connection.sftpTransfers = new Map();
+  }
+  if (connection.sftpTransfers.has(transferId)) {
+    throw new Error(`Transfer already exists: ${transferId}`);
+  }
+  return transferId;
+};
+
+const closeSftp = (connection) => {
+  if (connection.sftpTransfers) {
+    for (const transferId of [...connection.sftpTransfers.keys()]) {
+      closeSftpTransfer(connection, transferId);
+    }
+  }
+
+  if (connection.sftp) {
     try {
-      // Check if connection and SSH client are still valid
-      if (!connection || !connection.sshClient || connection.sshClient.destroyed) {
-        console.log("SSH connection no longer valid, stopping monitoring");
-        if (connection.monitoringTimer) {
-          clearInterval(connection.monitoringTimer);
-          connection.monitoringTimer = null;
+      connection.sftp.end();
+    } catch (err) {
+      console.error(`Error closing SFTP session: ${err.message}`);
+    }
+    connection.sftp = null;
+  }
+};
+
+// Decode chunk payloads sent either as binary attachments or base64 strings
+const toBuffer = (data, encoding = "base64") => {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (typeof data === "string") return Buffer.from(data, encoding);
+  return null;
+};
+
+// Register SFTP file browser and transfer events for a socket
+const registerSftpHandlers = (socket) => {
+  // Wrap a handler with connection lookup, SFTP setup and error reporting
+  const withSftp = (eventName, handler) => {
+    onClientEvent(socket, eventName, async (data, reply) => {
+      const connection = getActiveConnection(socket);
+
+      if (!connection) {
+        console.warn(`${socket.id}: Attempted ${eventName} without an active SSH connection`);
+        reply({ error: "No active SSH connection" });
+        return;
+      }
+
+      if (!canControlSession(socket, connection)) {
+        reply({ error: "Read-only observers cannot access files" });
+        return;
+      }
+
+      try {
+        const sftp = await getSftp(connection);
+        connection.lastActivity = new Date();
+        reply(await handler(sftp, data, connection));
+      } catch (err) {
+        console.error(`${socket.id}: ${eventName} failed: ${err.message}`);
+        reply({ error: err.message, code: err.code });
+      }
+    });
+  };
+
+  const requirePath = (value, name = "path") => {
+    if (!value || typeof value !== "string") {
+      throw new Error(`Missing required parameter: ${name}`);
+    }
+    return value;
+  };
+
+  withSftp("sftp-list", async (sftp, data) => {
+    const dirPath = await sftpCall(sftp, "realpath", data.path || ".");
+    const list = await sftpCall(sftp, "readdir", dirPath);
+
+    const entries = list
+      .filter((entry) => data.showHidden || !entry.filename.startsWith("."))
+      .map((entry) => ({
+        name: entry.filename,
+        path: path.posix.join(dirPath, entry.filename),
+        longname: entry.longname,
+        ...formatSftpAttrs(entry.attrs),
+      }))
+      .sort((a, b) => {
+        // Directories first, then alphabetical
+        if ((a.type === "directory") !== (b.type === "directory")) {
+          return a.type === "directory" ? -1 : 1;
+        }
+        return a.name.localeCompare(b.name);
+      });
+
+    return { path: dirPath, entries };
+  });
+
+  withSftp("sftp-stat", async (sftp, data) => {
+    const filePath = requirePath(data.path);
+    const attrs = await sftpCall(sftp, data.followSymlinks === false ? "lstat" : "stat", filePath);
+    return { path: filePath, stats: formatSftpAttrs(attrs) };
+  });
+
+  withSftp("sftp-read", async (sftp, data) => {
+    const filePath = requirePath(data.path);
+    const encoding = data.encoding === "base64" ? "base64" : "utf8";
+    const attrs = await sftpCall(sftp, "stat", filePath);
+
+    if (!attrs.isFile()) {
+      throw new Error(`${filePath} is not a regular file`);
+    }
+    if (attrs.size > SFTP_MAX_READ_SIZE) {
+      throw new Error(
+        `File is too large to read (${attrs.size} bytes), use sftp-download instead`
+      );
+    }
+
+    const content = await sftpCall(sftp, "readFile", filePath);
+    return { path: filePath, size: attrs.size, encoding, content: content.toString(encoding) };
+  });
+
+  withSftp("sftp-write", async (sftp, data) => {
+    const filePath = requirePath(data.path);
+    const content = toBuffer(data.content ?? "", data.encoding === "base64" ? "base64" : "utf8");
+
+    if (!content) {
+      throw new Error("Invalid file content");
+    }
+
+    const options = {};
+    if (data.mode) {
+      options.mode = typeof data.mode === "string" ? parseInt(data.mode, 8) : data.mode;
+    }
+
+    await sftpCall(sftp, "writeFile", filePath, content, options);
+    return { path: filePath, size: content.length, success: true };
+  });
+
+  withSftp("sftp-mkdir", async (sftp, data) => {
+    const dirPath = requirePath(data.path);
+
+    if (!data.recursive) {
+      await sftpCall(sftp, "mkdir", dirPath);
+      return { path: dirPath, success: true };
+    }
+
+    // Create each missing parent directory in turn
+    const isAbsolute = dirPath.startsWith("/");
+    let current = isAbsolute ? "/" : "";
+    for (const part of dirPath.split("/").filter(Boolean)) {
+      current = current ? path.posix.join(current, part) : part;
+      try {
+        const attrs = await sftpCall(sftp, "stat", current);
+        if (!attrs.isDirectory()) {
+          throw new Error(`${current} exists and is not a directory`);
         }
-        connection.monitoringActive = false;
+      } catch (err) {
+        if (err.code !== 2) throw err; // 2 = SSH_FX_NO_SUCH_FILE
+        await sftpCall(sftp, "mkdir", current);
+      }
+    }
+
+    return { path: dirPath, success: true };
+  });
+
+  withSftp("sftp-rename", async (sftp, data) => {
+    const from = requirePath(data.from, "from");
+    const to = requirePath(data.to, "to");
+    await sftpCall(sftp, "rename", from, to);
+    return { from, to, success: true };
+  });
+
+  withSftp("sftp-delete", async (sftp, data) => {
+    const targetPath = requirePath(data.path);
+
+    const removePath = async (target) => {
+      const attrs = await sftpCall(sftp, "lstat", target);
+
+      if (!attrs.isDirectory()) {
+        await sftpCall(sftp, "unlink", target);
         return;
       }
-      
-      // Execute both commands using exec method safely
-      const cpuCommand = "top -bn1 | grep '%Cpu' | awk '{print $2}'";
-      const memCommand = "free | grep Mem | awk '{print ($3/$2) * 100.0}'";
-      
-      // Use the command queue instead of direct exec for better stability
-      connection.sshClient.exec(cpuCommand, (err, stream) => {
-        if (err) return;
-        let cpuData = '';
-        stream.on('data', (chunk) => { cpuData += chunk; });
-        
-        stream.on('end', () => {
-          const cpuValue = parseFloat(cpuData.trim());
-          
-          // Get memory data only after CPU data is ready
-          connection.sshClient.exec(memCommand, (err, stream) => {
-            if (err) return;
-            let memData = '';
-            stream.on('data', (chunk) => { memData += chunk; });
-            
-            stream.on('end', () => {
-              const memValue = parseFloat(memData.trim());
-              
-              // Only send if we have valid data
-              if (!isNaN(cpuValue) && !isNaN(memValue)) {
-                clientSocket.emit('monitoring-data', {
-                  type: 'system-stats',
-                  stats: {
-                    cpu: { value: cpuValue },
-                    memory: { value: memValue }
-                  }
-                });
-              }
-            });
-          });
+
+      if (data.recursive) {
+        const list = await sftpCall(sftp, "readdir", target);
+        for (const entry of list) {
+          await removePath(path.posix.join(target, entry.filename));
+        }
+      }
+      await sftpCall(sftp, "rmdir", target);
+    };
+
+    await removePath(targetPath);
+    return { path: targetPath, success: true };
+  });
+
+  // Chunked upload: start -> chunk (repeated) -> end
+  withSftp("sftp-upload-start", async (sftp, data, connection) => {
+    const filePath = requirePath(data.path);
+    const flags = data.append ? "a" : "w";
+    const attrs = data.mode
+      ? { mode: typeof data.mode === "string" ? parseInt(data.mode, 8) : data.mode }
+      : {};
+
+    const transferId = reserveTransferId(connection, data.transferId || crypto.randomUUID());
+    const handle = await sftpCall(sftp, "open", filePath, flags, attrs);
+
+    // Another start with the same id may have won while the file was opening
+    if (connection.sftpTransfers.has(transferId)) {
+      sftp.close(handle, () => {});
+      throw new Error(`Transfer already exists: ${transferId}`);
+    }
+    connection.sftpTransfers.set(transferId, {
+      direction: "upload",
+      path: filePath,
+      handle,
+      total: data.size || null,
+      transferred: 0,
+      socketId: socket.id,
+    });
+
+    console.log(`${socket.id}: SFTP upload started to ${filePath} (${transferId})`);
+    return { transferId, path: filePath };
+  });
+
+  withSftp("sftp-upload-chunk", async (sftp, data, connection) => {
+    const transfer = connection.sftpTransfers && connection.sftpTransfers.get(data.transferId);
+    if (!transfer || transfer.direction !== "upload") {
+      throw new Error("Unknown upload transfer");
+    }
+
+    const chunk = toBuffer(data.data, data.encoding || "base64");
+    if (!chunk) {
+      throw new Error("Invalid chunk data");
+    }
+
+    const offset = typeof data.offset === "number" ? data.offset : transfer.transferred;
+    await sftpCall(sftp, "write", transfer.handle, chunk, 0, chunk.length, offset);
+    transfer.transferred = Math.max(transfer.transferred, offset + chunk.length);
+
+    socket.emit("sftp-transfer-progress", {
+      transferId: data.transferId,
+      direction: "upload",
+      path: transfer.path,
+      transferred: transfer.transferred,
+      total: transfer.total,
+    });
+
+    return { transferId: data.transferId, transferred: transfer.transferred };
+  });
+
+  withSftp("sftp-upload-end", async (sftp, data, connection) => {
+    const transfer = connection.sftpTransfers && connection.sftpTransfers.get(data.transferId);
+    if (!transfer || transfer.direction !== "upload") {
+      throw new Error("Unknown upload transfer");
+    }
+
+    connection.sftpTransfers.delete(data.transferId);
+    await sftpCall(sftp, "close", transfer.handle);
+
+    console.log(
+      `${socket.id}: SFTP upload finished to ${transfer.path} (${transfer.transferred} bytes)`
+    );
+    return { transferId: data.transferId, path: transfer.path, size: transfer.transferred, success: true };
+  });
+
+  // Download streams chunks back as sftp-download-chunk events
+  withSftp("sftp-download", async (sftp, data, connection) => {
+    const filePath = requirePath(data.path);
+    const attrs = await sftpCall(sftp, "stat", filePath);
+
+    if (!attrs.isFile()) {
+      throw new Error(`${filePath} is not a regular file`);
+    }
+
+    const chunkSize = Math.min(
+      Math.max(parseInt(data.chunkSize) || SFTP_DEFAULT_CHUNK_SIZE, 1024),
+      SFTP_MAX_CHUNK_SIZE
+    );
+    const transferId = reserveTransferId(connection, data.transferId || crypto.randomUUID());
+    const stream = sftp.createReadStream(filePath, { highWaterMark: chunkSize });
+
+    const transfer = {
+      direction: "download",
+      path: filePath,
+      stream,
+      total: attrs.size,
+      transferred: 0,
+      socketId: socket.id,
+    };
+    connection.sftpTransfers.set(transferId, transfer);
+
+    stream.on("data", (chunk) => {
+      const offset = transfer.transferred;
+      transfer.transferred += chunk.length;
+      connection.lastActivity = new Date();
+
+      socket.emit("sftp-download-chunk", { transferId, offset, data: chunk });
+      socket.emit("sftp-transfer-progress", {
+        transferId,
+        direction: "download",
+        path: filePath,
+        transferred: transfer.transferred,
+        total: transfer.total,
+      });
+
+      // Slow clients would otherwise get the whole file buffered in memory
+      if (socket.conn.writeBuffer.length >= SFTP_DOWNLOAD_MAX_BUFFERED_PACKETS && !transfer.paused) {
+        transfer.paused = true;
+        stream.pause();
+        socket.conn.once("drain", () => {
+          transfer.paused = false;
+          stream.resume();
+        });
+      }
+    });
+
+    stream.on("end", () => {
+      connection.sftpTransfers.delete(transferId);
+      console.log(`${socket.id}: SFTP download finished from ${filePath}`);
+      socket.emit("sftp-download-complete", {
+        transferId,
+        path: filePath,
+        size: transfer.transferred,
+      });
+    });
+
+    stream.on("error", (err) => {
+      connection.sftpTransfers.delete(transferId);
+      console.error(`${socket.id}: SFTP download error: ${err.message}`);
+      socket.emit("sftp-transfer-error", { transferId, path: filePath, error: err.message });
+    });
+
+    console.log(`${socket.id}: SFTP download started from ${filePath} (${transferId})`);
+    return { transferId, path: filePath, size: attrs.size, chunkSize };
+  });
+
+  withSftp("sftp-transfer-cancel", async (sftp, data, connection) => {
+    if (!connection.sftpTransfers || !connection.sftpTransfers.has(data.transferId)) {
+      throw new Error("Unknown transfer");
+    }
+
+    closeSftpTransfer(connection, data.transferId);
+    console.log(`${socket.id}: SFTP transfer ${data.transferId} cancelled`);
+    return { transferId: data.transferId, cancelled: true };
+  });
+};
+
+// Port forwarding - tunnels to services on the remote host over forwardOut,
+// exposed as a gateway-local TCP port or an HTTP reverse-proxy path
+const MAX_PORT_FORWARDS_PER_SESSION = 10;
+const PORT_FORWARD_BIND_HOST = process.env.PORT_FORWARD_BIND_HOST || "127.0.0.1";
+
+// Open a channel to remoteHost:remotePort on the SSH server's side
+const openForwardStream = (connection, forward, srcIP = "127.0.0.1", srcPort = 0) =>
+  new Promise((resolve, reject) => {
+    connection.sshClient.forwardOut(
+      srcIP,
+      srcPort,
+      forward.remoteHost,
+      forward.remotePort,
+      (err, stream) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        forward.connections++;
+        connection.lastActivity = new Date();
+        resolve(stream);
+      }
+    );
+  });
+
+const formatPortForward = (connection, forward) => ({
+  forwardId: forward.forwardId,
+  mode: forward.mode,
+  remoteHost: forward.remoteHost,
+  remotePort: forward.remotePort,
+  localHost: forward.localHost,
+  localPort: forward.localPort,
+  path: forward.mode === "http" ? `/forward/${connection.sessionId}/${forward.forwardId}/` : null,
+  connections: forward.connections,
+  activeSockets: forward.sockets.size,
+  createdAt: forward.createdAt,
+});
+
+const closePortForward = (connection, forwardId) => {
+  const forward = connection.portForwards && connection.portForwards.get(forwardId);
+  if (!forward) return false;
+
+  connection.portForwards.delete(forwardId);
+
+  for (const sock of forward.sockets) {
+    sock.destroy();
+  }
+  forward.sockets.clear();
+
+  if (forward.server) {
+    forward.server.close();
+  }
+
+  console.log(
+    `${connection.socketId}: Closed ${forward.mode} port forward ${forwardId} to ${forward.remoteHost}:${forward.remotePort}`
+  );
+  return true;
+};
+
+const closePortForwards = (connection) => {
+  if (!connection.portForwards) return;
+
+  for (const forwardId of [...connection.portForwards.keys()]) {
+    closePortForward(connection, forwardId);
+  }
+};
+
+// Listen on a gateway-local port and tunnel every accepted socket
+const startTcpForward = (connection, forward, localPort) =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer((clientSock) => {
+      forward.sockets.add(clientSock);
+      clientSock.on("close", () => forward.sockets.delete(clientSock));
+      clientSock.on("error", () => {});
+      clientSock.pause();
+
+      openForwardStream(connection, forward, clientSock.remoteAddress, clientSock.remotePort)
+        .then((stream) => {
+          clientSock.on("close", () => stream.destroy());
+          stream.on("close", () => clientSock.destroy());
+          clientSock.pipe(stream).pipe(clientSock);
+          clientSock.resume();
+        })
+        .catch((err) => {
+          console.error(
+            `${connection.socketId}: Port forward ${forward.forwardId} failed to open channel: ${err.message}`
+          );
+          clientSock.destroy();
         });
+    });
+
+    server.once("error", reject);
+    server.listen(localPort || 0, PORT_FORWARD_BIND_HOST, () => {
+      server.removeListener("error", reject);
+      server.on("error", (err) => {
+        console.error(`Port forward ${forward.forwardId} server error: ${err.message}`);
       });
+      forward.server = server;
+      forward.localHost = PORT_FORWARD_BIND_HOST;
+      forward.localPort = server.address().port;
+      resolve();
+    });
+  });
+
+// Register port forwarding events for a socket
+const registerPortForwardHandlers = (socket) => {
+  onClientEvent(socket, "port-forward-open", async (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      console.warn(`${socket.id}: Attempted to open port forward without an active SSH connection`);
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot open port forwards" });
+      return;
+    }
+
+    const mode = data.mode === "http" ? "http" : "tcp";
+    const remoteHost = data.remoteHost || "127.0.0.1";
+    const remotePort = parseInt(data.remotePort);
+    const localPort = data.localPort ? parseInt(data.localPort) : 0;
+
+    if (!remotePort || remotePort < 1 || remotePort > 65535) {
+      reply({ error: "Invalid remote port" });
+      return;
+    }
+    if (Number.isNaN(localPort) || localPort < 0 || localPort > 65535) {
+      reply({ error: "Invalid local port" });
+      return;
+    }
+
+    if (!connection.portForwards) {
+      connection.portForwards = new Map();
+    }
+    if (connection.portForwards.size >= MAX_PORT_FORWARDS_PER_SESSION) {
+      reply({ error: `Port forward limit reached (${MAX_PORT_FORWARDS_PER_SESSION} per session)` });
+      return;
+    }
+
+    const forward = {
+      forwardId: crypto.randomUUID(),
+      mode,
+      remoteHost,
+      remotePort,
+      localHost: null,
+      localPort: null,
+      server: null,
+      sockets: new Set(),
+      connections: 0,
+      createdAt: new Date(),
+    };
+
+    try {
+      if (mode === "tcp") {
+        await startTcpForward(connection, forward, localPort);
+      } else {
+        // Make sure the target is reachable before handing out a proxy path
+        const probe = await openForwardStream(connection, forward);
+        probe.end();
+        forward.connections = 0;
+      }
     } catch (err) {
-      console.error('Error collecting system stats:', err);
+      console.error(`${socket.id}: Failed to open port forward to ${remoteHost}:${remotePort}: ${err.message}`);
+      reply({ error: `Failed to open port forward: ${err.message}` });
+      return;
+    }
+
+    connection.portForwards.set(forward.forwardId, forward);
+    connection.lastActivity = new Date();
+
+    console.log(
+      `${socket.id}: Opened ${mode} port forward ${forward.forwardId} to ${remoteHost}:${remotePort}` +
+        (mode === "tcp" ? ` on ${forward.localHost}:${forward.localPort}` : "")
+    );
+    reply(formatPortForward(connection, forward));
+  });
+
+  onClientEvent(socket, "port-forward-list", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const forwards = [...(connection.portForwards || new Map()).values()].map((forward) =>
+      formatPortForward(connection, forward)
+    );
+    reply({ forwards });
+  });
+
+  onClientEvent(socket, "port-forward-close", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot close port forwards" });
+      return;
+    }
+
+    if (!closePortForward(connection, data.forwardId)) {
+      reply({ error: "Unknown port forward" });
+      return;
+    }
+
+    reply({ forwardId: data.forwardId, closed: true });
+  });
+};
+
+// Session viewers - every socket attached to a session joins its Socket.IO
+// room, so terminal output fans out to the owner, collaborators and observers
+const VIEWER_ROLES = ["owner", "collaborator", "observer"];
+const SHARE_TOKEN_TTL_MS = 60 * 60 * 1000; // Share links are valid for 1 hour by default
+const SHARE_TOKEN_MAX_USES = 1; // ...and admit one viewer unless the owner asks for more
+
+const getSessionRoom = (sessionId) => `session:${sessionId}`;
+
+const emitToSession = (connection, event, ...args) => {
+  io.to(getSessionRoom(connection.sessionId)).emit(event, ...args);
+};
+
+const formatViewers = (connection) =>
+  [...connection.viewers.values()].map(({ socketId, role, name, userId, attachedAt }) => ({
+    socketId,
+    role,
+    name,
+    userId,
+    attachedAt,
+  }));
+
+const getViewerRole = (socket, connection) => {
+  const viewer = connection.viewers && connection.viewers.get(socket.id);
+  return viewer ? viewer.role : null;
+};
+
+// Observers may watch but never type into or control the session
+const canControlSession = (socket, connection) => {
+  const role = getViewerRole(socket, connection);
+  return role === "owner" || role === "collaborator";
+};
+
+const attachViewer = (socket, connection, role, name = null) => {
+  // A socket follows one session at a time
+  const previousSessionId = socketToSession.get(socket.id);
+  if (previousSessionId && previousSessionId !== connection.sessionId) {
+    const previousConnection = sshConnections.get(previousSessionId);
+    if (previousConnection) {
+      detachViewer(socket, previousConnection);
     }
-  }, 1000); // Run every second
+  }
+
+  socket.join(getSessionRoom(connection.sessionId));
+  socketToSession.set(socket.id, connection.sessionId);
+
+  const user = socket.data.user || null;
+  const viewer = { socketId: socket.id, role, name: name || (user && user.name), userId: user && user.id, attachedAt: new Date() };
+  connection.viewers.set(socket.id, viewer);
+
+  // The owner's latest socket is the one used for per-session logging
+  if (role === "owner") {
+    connection.socketId = socket.id;
+  }
+
+  console.log(`${socket.id}: Attached to session ${connection.sessionId} as ${role}`);
+  emitToSession(connection, "session-viewer-attached", {
+    sessionId: connection.sessionId,
+    viewer: formatViewers(connection).find((v) => v.socketId === socket.id),
+    viewers: formatViewers(connection),
+  });
+};
+
+const detachViewer = (socket, connection) => {
+  const viewer = connection.viewers.get(socket.id);
+  if (!viewer) return;
+
+  connection.viewers.delete(socket.id);
+  unsubscribeMonitoring(socket.id, connection);
+  unsubscribeSocketLogs(socket.id, connection);
+  closeSocketTransfers(socket.id, connection);
+  socket.leave(getSessionRoom(connection.sessionId));
+  if (socketToSession.get(socket.id) === connection.sessionId) {
+    socketToSession.delete(socket.id);
+  }
+
+  console.log(`${socket.id}: Detached from session ${connection.sessionId}`);
+  emitToSession(connection, "session-viewer-detached", {
+    sessionId: connection.sessionId,
+    socketId: socket.id,
+    role: viewer.role,
+    viewers: formatViewers(connection),
+  });
 };
 
-// Start heartbeat for client connection
-const startHeartbeat = (socket, sessionId) => {
-  // Clear any existing heartbeat interval
-  if (socket.heartbeatInterval) {
-    clearInterval(socket.heartbeatInterval);
-    socket.heartbeatInterval = null;
+// Drop every viewer of a session that is going away
+const detachAllViewers = (connection) => {
+  if (!connection.viewers) return;
+
+  const room = getSessionRoom(connection.sessionId);
+  for (const socketId of connection.viewers.keys()) {
+    if (socketToSession.get(socketId) === connection.sessionId) {
+      socketToSession.delete(socketId);
+    }
   }
+  connection.viewers.clear();
+  io.in(room).socketsLeave(room);
+};
 
-  // Set up heartbeat
-  socket.heartbeatInterval = setInterval(() => {
-    if (!sshConnections.has(sessionId)) {
-      clearInterval(socket.heartbeatInterval);
-      socket.heartbeatInterval = null;
+// Register session sharing events for a socket
+const registerViewerHandlers = (socket) => {
+  const withConnection = (reply) => {
+    const connection = getActiveConnection(socket);
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+    }
+    return connection;
+  };
+
+  // Owner creates a share token that lets someone else attach with a role
+  onClientEvent(socket, "session-share", (data, reply) => {
+    const connection = withConnection(reply);
+    if (!connection) return;
+
+    if (getViewerRole(socket, connection) !== "owner") {
+      reply({ error: "Only the session owner can share it" });
       return;
     }
 
-    // Send a lightweight heartbeat to keep the connection alive
-    socket.emit("ssh-heartbeat", { timestamp: Date.now() });
-  }, 5000); // Every 5 seconds
+    const role = data.role === "collaborator" ? "collaborator" : "observer";
+    const ttlMs = data.ttlSeconds > 0 ? data.ttlSeconds * 1000 : SHARE_TOKEN_TTL_MS;
+    const maxUses = parseInt(data.maxUses) > 0 ? parseInt(data.maxUses) : SHARE_TOKEN_MAX_USES;
+    const shareToken = crypto.randomBytes(24).toString("base64url");
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    // Viewers learn the sessionId, so from now on reattaching as owner takes the reattach token
+    connection.shared = true;
+    connection.shareTokens.set(shareToken, { role, expiresAt, usesLeft: maxUses, viewers: new Set() });
+    console.log(`${socket.id}: Created ${role} share token for session ${connection.sessionId}`);
+    reply({ sessionId: connection.sessionId, shareToken, role, expiresAt, maxUses });
+  });
 
-  // Clean up on disconnect
-  socket.once("disconnect", () => {
-    if (socket.heartbeatInterval) {
-      clearInterval(socket.heartbeatInterval);
-      socket.heartbeatInterval = null;
+  // Owner withdraws a share token and drops the viewers that joined with it
+  onClientEvent(socket, "session-share-revoke", (data, reply) => {
+    const connection = withConnection(reply);
+    if (!connection) return;
+
+    if (getViewerRole(socket, connection) !== "owner") {
+      reply({ error: "Only the session owner can revoke a share token" });
+      return;
+    }
+
+    const share = connection.shareTokens.get(data.shareToken);
+    if (!share) {
+      reply({ error: "Share token not found" });
+      return;
+    }
+
+    connection.shareTokens.delete(data.shareToken);
+    let detached = 0;
+    for (const socketId of share.viewers) {
+      const viewer = connection.viewers.get(socketId);
+      const viewerSocket = io.sockets.sockets.get(socketId);
+      // Someone promoted to owner in the meantime keeps their seat
+      if (!viewer || viewer.role === "owner" || !viewerSocket) continue;
+
+      detachViewer(viewerSocket, connection);
+      viewerSocket.emit("session-share-revoked", { sessionId: connection.sessionId });
+      detached++;
+    }
+
+    console.log(`${socket.id}: Revoked a share token for session ${connection.sessionId}, detached ${detached} viewer(s)`);
+    reply({ sessionId: connection.sessionId, revoked: true, detached });
+  });
+
+  onClientEvent(socket, "session-attach", (data, reply) => {
+    const connection = sshConnections.get(data.sessionId);
+    const share = connection && connection.shareTokens.get(data.shareToken);
+
+    if (!connection || !connection.authenticated || !share) {
+      reply({ error: "Session not found or share token invalid" });
+      return;
+    }
+
+    if (share.expiresAt.getTime() < Date.now()) {
+      connection.shareTokens.delete(data.shareToken);
+      reply({ error: "Share token has expired" });
+      return;
+    }
+
+    // A used-up token stays around so the owner can still revoke it
+    if (share.usesLeft <= 0) {
+      reply({ error: "Share token has already been used" });
+      return;
+    }
+    share.usesLeft--;
+
+    attachViewer(socket, connection, share.role, data.name || null);
+    share.viewers.add(socket.id);
+    replayScrollback(socket, connection, data.scrollbackOffsets || data.scrollbackOffset);
+    startHeartbeat(socket, connection.sessionId);
+
+    reply({
+      sessionId: connection.sessionId,
+      role: share.role,
+      cols: connection.cols,
+      rows: connection.rows,
+      shells: [...connection.shells.values()].map(formatShell),
+      viewers: formatViewers(connection),
+    });
+  });
+
+  onClientEvent(socket, "session-detach", (data, reply) => {
+    const connection = withConnection(reply);
+    if (!connection) return;
+
+    detachViewer(socket, connection);
+    reply({ sessionId: connection.sessionId, detached: true });
+  });
+
+  onClientEvent(socket, "session-viewers", (data, reply) => {
+    const connection = withConnection(reply);
+    if (!connection) return;
+
+    reply({ sessionId: connection.sessionId, viewers: formatViewers(connection) });
+  });
+
+  // Owner promotes an observer to collaborator or the other way around
+  onClientEvent(socket, "session-set-role", (data, reply) => {
+    const connection = withConnection(reply);
+    if (!connection) return;
+
+    const viewer = connection.viewers.get(data.socketId);
+    if (getViewerRole(socket, connection) !== "owner") {
+      reply({ error: "Only the session owner can change roles" });
+      return;
+    }
+    if (!viewer || viewer.role === "owner" || !VIEWER_ROLES.includes(data.role) || data.role === "owner") {
+      reply({ error: "Invalid viewer or role" });
+      return;
+    }
+
+    viewer.role = data.role;
+    emitToSession(connection, "session-viewer-updated", {
+      sessionId: connection.sessionId,
+      socketId: viewer.socketId,
+      role: viewer.role,
+      viewers: formatViewers(connection),
+    });
+    reply({ socketId: viewer.socketId, role: viewer.role });
+  });
+};
+
+// Client authentication - pluggable providers for the Socket.IO handshake and
+// the HTTP routes. CLIENT_AUTH lists the providers to try in order; when it is
+// empty the gateway stays open, as before
+const JWT_SECRET = process.env.JWT_SECRET || null; // HS256
+const JWT_PUBLIC_KEY =
+  (process.env.JWT_PUBLIC_KEY && process.env.JWT_PUBLIC_KEY.replace(/\\n/g, "\n")) ||
+  (process.env.JWT_PUBLIC_KEY_FILE ? fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, "utf8") : null); // RS256
+const JWT_ISSUER = process.env.JWT_ISSUER || null;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || null;
+const JWT_CLOCK_SKEW_SECONDS = 30;
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1; // Longer setTimeout delays fire after 1ms
+const FORWARD_AUTH_COOKIE = "syspulse_forward_token";
+
+const decodeJwtPart = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+
+const safeEqual = (a, b) => {
+  // Hash first so the comparison doesn't leak the length
+  const left = crypto.createHash("sha256").update(a).digest();
+  const right = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+};
+
+const verifyJwt = (token) => {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new Error("Malformed JWT");
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeJwtPart(parts[0]);
+    claims = decodeJwtPart(parts[1]);
+  } catch (err) {
+    throw new Error("Malformed JWT");
+  }
+
+  // The algorithm follows from the configured key, never from the token alone
+  const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], "base64url");
+  if (header.alg === "HS256" && JWT_SECRET) {
+    const expected = crypto.createHmac("sha256", JWT_SECRET).update(signingInput).digest();
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+      throw new Error("Invalid JWT signature");
+    }
+  } else if (header.alg === "RS256" && JWT_PUBLIC_KEY) {
+    if (!crypto.verify("sha256", signingInput, JWT_PUBLIC_KEY, signature)) {
+      throw new Error("Invalid JWT signature");
+    }
+  } else {
+    throw new Error(`JWT algorithm not accepted: ${header.alg}`);
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp !== "number" || now > claims.exp + JWT_CLOCK_SKEW_SECONDS) {
+    throw new Error("JWT expired or without exp");
+  }
+  if (typeof claims.nbf === "number" && now + JWT_CLOCK_SKEW_SECONDS < claims.nbf) {
+    throw new Error("JWT not valid yet");
+  }
+  if (JWT_ISSUER && claims.iss !== JWT_ISSUER) {
+    throw new Error("Unexpected JWT issuer");
+  }
+  if (JWT_AUDIENCE && ![].concat(claims.aud).includes(JWT_AUDIENCE)) {
+    throw new Error("Unexpected JWT audience");
+  }
+  if (!claims.sub) {
+    throw new Error("JWT has no subject");
+  }
+
+  return {
+    id: String(claims.sub),
+    name: claims.name || claims.preferred_username || String(claims.sub),
+    expiresAt: new Date(claims.exp * 1000),
+  };
+};
+
+// API_TOKENS="alice:token1,bob:token2" - the user id comes before the first colon
+const API_TOKENS = (process.env.API_TOKENS || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const separator = entry.indexOf(":");
+    if (separator < 1 || separator === entry.length - 1) {
+      throw new Error("API_TOKENS entries must look like user:token");
     }
+    return { id: entry.slice(0, separator), token: entry.slice(separator + 1) };
   });
+
+const verifyApiToken = (token) => {
+  // Compare against every entry so timing doesn't reveal the position
+  const match = API_TOKENS.reduce((found, entry) => (safeEqual(entry.token, token) ? entry : found), null);
+  if (!match) {
+    throw new Error("Unknown API token");
+  }
+  return { id: match.id, name: match.id, expiresAt: null };
+};
+
+// Provider name -> (token) => user, throwing when the token is not accepted.
+// Other schemes (OIDC introspection, mTLS headers, ...) plug in here
+const AUTH_PROVIDERS = {
+  jwt: verifyJwt,
+  "api-token": verifyApiToken,
+};
+
+const CLIENT_AUTH = (process.env.CLIENT_AUTH || "")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+// Fail at startup rather than run open by accident
+for (const name of CLIENT_AUTH) {
+  if (!AUTH_PROVIDERS[name]) {
+    throw new Error(`Unknown CLIENT_AUTH provider: ${name}. Use ${Object.keys(AUTH_PROVIDERS).join(", ")}`);
+  }
+}
+if (CLIENT_AUTH.includes("jwt") && !JWT_SECRET && !JWT_PUBLIC_KEY) {
+  throw new Error("CLIENT_AUTH=jwt needs JWT_SECRET (HS256) or JWT_PUBLIC_KEY / JWT_PUBLIC_KEY_FILE (RS256)");
+}
+if (CLIENT_AUTH.includes("api-token") && API_TOKENS.length === 0) {
+  throw new Error("CLIENT_AUTH=api-token needs API_TOKENS");
+}
+if (CLIENT_AUTH.length === 0) {
+  console.warn("CLIENT_AUTH is not set - any client that reaches this port can open SSH sessions");
+}
+
+const authenticateClient = async (token) => {
+  if (!token) {
+    throw new Error("Missing credentials");
+  }
+
+  const reasons = [];
+  for (const name of CLIENT_AUTH) {
+    try {
+      const user = await AUTH_PROVIDERS[name](token);
+      return { ...user, provider: name };
+    } catch (err) {
+      reasons.push(`${name}: ${err.message}`);
+    }
+  }
+  throw new Error(reasons.join("; "));
+};
+
+const getBearerToken = (header) => {
+  const match = String(header || "").match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Without CLIENT_AUTH every client may use every session, as before
+const ownsSession = (user, connection) => CLIENT_AUTH.length === 0 || (!!user && connection.ownerId === user.id);
+
+// Every viewer learns the sessionId, so once client auth is on or the session
+// was shared, reattaching as owner also takes the secret that only the owner's
+// socket was given in ssh-connected. Otherwise the sessionId is enough, as before
+const canReattachAsOwner = (socket, connection, reattachToken) => {
+  if (!ownsSession(socket.data.user, connection)) return false;
+  if (CLIENT_AUTH.length === 0 && !connection.shared) return true;
+  return typeof reattachToken === "string" && safeEqual(reattachToken, connection.reattachToken);
+};
+
+io.use(async (socket, next) => {
+  if (CLIENT_AUTH.length === 0) return next();
+
+  const token = socket.handshake.auth?.token || getBearerToken(socket.handshake.headers.authorization);
+  try {
+    socket.data.user = await authenticateClient(token);
+  } catch (err) {
+    console.warn(`Rejected Socket.IO client from ${socket.handshake.address}: ${err.message}`);
+    const authError = new Error("Unauthorized");
+    authError.data = { code: "unauthorized" };
+    return next(authError);
+  }
+
+  // Drop the socket when its token runs out; the session itself stays for reattach
+  const { expiresAt } = socket.data.user;
+  if (expiresAt) {
+    // Tokens can outlive the longest timer, so far-off expiries re-arm in steps
+    let timer = null;
+    const armExpiry = () => {
+      const remaining = expiresAt.getTime() - Date.now();
+      timer = setTimeout(
+        () => (expiresAt.getTime() <= Date.now() ? socket.disconnect(true) : armExpiry()),
+        Math.min(Math.max(remaining, 0), MAX_TIMER_DELAY_MS)
+      );
+    };
+    armExpiry();
+    socket.on("disconnect", () => clearTimeout(timer));
+  }
+  next();
+});
+
+// Express counterpart: Bearer header, the forward cookie or ?access_token=
+const requireClientAuth = async (req, res, next) => {
+  if (CLIENT_AUTH.length === 0) return next();
+
+  const cookies = Object.fromEntries(
+    String(req.headers.cookie || "")
+      .split(";")
+      .map((cookie) => cookie.trim().split("="))
+      .filter(([name, value]) => name && value)
+  );
+  const token =
+    getBearerToken(req.get("authorization")) ||
+    (cookies[FORWARD_AUTH_COOKIE] && decodeURIComponent(cookies[FORWARD_AUTH_COOKIE])) ||
+    req.query.access_token;
+
+  try {
+    req.user = await authenticateClient(token);
+    next();
+  } catch (err) {
+    res.status(401).json({ error: "Unauthorized" });
+  }
 };
 
 // Socket.IO event handlers
@@ -539,13 +5134,12 @@ io.on("connection", (socket) => {
       `Client ${socket.id} attempting to reconnect with session ID: ${sessionId}`
     );
 
-    // Check if the session exists
-    if (sshConnections.has(sessionId)) {
-      const existingConnection = sshConnections.get(sessionId);
+    // Check if the session exists and belongs to this user
+    const existingConnection = sshConnections.get(sessionId);
+    if (existingConnection && canReattachAsOwner(socket, existingConnection, socket.handshake.auth.reattachToken)) {
 
       // Associate this new socket with the existing session
-      socketToSession.set(socket.id, sessionId);
-      existingConnection.socketId = socket.id;
+      attachViewer(socket, existingConnection, "owner");
 
       console.log(
         `Client ${socket.id} reconnected to existing session ${sessionId}`
@@ -555,74 +5149,49 @@ io.on("connection", (socket) => {
       socket.emit("ssh-connection-exists", {
         message: "Reconnected to existing SSH session",
         sessionId: sessionId,
+        shells: [...existingConnection.shells.values()].map(formatShell),
       });
 
+      // Catch the client up on output it missed while it was away
+      const { scrollbackOffsets, scrollbackOffset } = socket.handshake.auth || {};
+      replayScrollback(socket, existingConnection, scrollbackOffsets || scrollbackOffset);
+
       // Start heartbeat to keep connection alive
       startHeartbeat(socket, sessionId);
 
-      // Ensure SSH stream is reinitialized after reconnection
-      if (
-        existingConnection.sshStream &&
-        !existingConnection.sshStream.destroyed
-      ) {
-        console.log(
-          `${socket.id}: Reinitializing SSH stream for session ${sessionId}`
-        );
-        existingConnection.sshStream.removeAllListeners();
-        existingConnection.sshStream.on("data", (data) => {
-          // Check data length before sending to avoid empty packets
-          if (data && data.length > 0) {
-            existingConnection.lastActivity = new Date();
-            const stringData = data.toString("utf-8");
-            console.log(
-              `${socket.id}: Forwarding ${data.length} bytes of data to client`
-            );
-
-            // Wrap in try-catch to avoid any errors breaking the connection
-            try {
-              socket.emit("ssh-data", stringData);
-            } catch (err) {
-              console.error(
-                `${socket.id}: Error sending data to client: ${err.message}`
-              );
-            }
-          }
-        });
-        existingConnection.sshStream.stderr.on("data", (data) => {
-          existingConnection.lastActivity = new Date();
-          if (data && data.length > 0) {
-            try {
-              socket.emit("ssh-error-data", data.toString("utf-8"));
-            } catch (err) {
-              console.error(
-                `${socket.id}: Error sending error data to client: ${err.message}`
-              );
-            }
-          }
-        });
-      }
+      // Shell output is emitted to the session room, so the new socket
+      // receives it without rebinding the stream listeners
     } else {
       console.log(`Session ID ${sessionId} not found, will create new session`);
     }
   }
 
   // Check if a connection exists for this session
-  socket.on("ssh-check-connection", (data) => {
+  onClientEvent(socket, "ssh-check-connection", (data) => {
     const sessionId = data.sessionId;
+    const existingConnection = sessionId && sshConnections.get(sessionId);
+    const viewer = existingConnection && existingConnection.viewers.get(socket.id);
 
-    if (sessionId && sshConnections.has(sessionId)) {
-      const existingConnection = sshConnections.get(sessionId);
+    // Someone else's session looks exactly like a missing one. Sockets that
+    // are already attached keep their role, others need the owner's secret
+    if (viewer || (existingConnection && canReattachAsOwner(socket, existingConnection, data.reattachToken))) {
+      const alreadyAttached = !!viewer;
 
       // Update the socket ID for this connection
-      existingConnection.socketId = socket.id;
-      socketToSession.set(socket.id, sessionId);
+      attachViewer(socket, existingConnection, viewer ? viewer.role : "owner", viewer && viewer.name);
 
       console.log(`Client ${socket.id} verified existing session ${sessionId}`);
 
       socket.emit("ssh-connection-exists", {
         message: "Existing SSH connection found",
         sessionId: sessionId,
+        shells: [...existingConnection.shells.values()].map(formatShell),
       });
+
+      // Sockets that reconnected through the handshake were already replayed
+      if (!alreadyAttached) {
+        replayScrollback(socket, existingConnection, data.scrollbackOffsets || data.scrollbackOffset);
+      }
     } else {
       socket.emit("ssh-closed", {
         message: "No active SSH connection found",
@@ -631,15 +5200,16 @@ io.on("connection", (socket) => {
   });
 
   // Handle SSH connection request
-  socket.on("ssh-connect", (data) => {
+  onClientEvent(socket, "ssh-connect", (data) => {
     console.log(
       `SSH connection requested from ${socket.id} to ${data.username}@${data.host}:${data.port}`
     );
 
-    const { host, port, username, privateKey, passphrase } = data;
+    const { host, port, username, privateKey, passphrase, password } = data;
 
-    // Validate required parameters
-    if (!host || !port || !username || !privateKey) {
+    // Validate required parameters - the private key is optional for
+    // password and keyboard-interactive logins
+    if (!host || !port || !username) {
       const errorMsg = "Missing required connection parameters";
       console.error(`${socket.id}: ${errorMsg}`);
       socket.emit("ssh-error", { message: errorMsg });
@@ -647,11 +5217,8 @@ io.on("connection", (socket) => {
     }
 
     // Validate private key format
-    let processedPrivateKey = privateKey.trim();
-    if (
-      !processedPrivateKey.includes("-----BEGIN") &&
-      !processedPrivateKey.includes("-----END")
-    ) {
+    const processedPrivateKey = privateKey ? normalizePrivateKey(privateKey) : null;
+    if (privateKey && !processedPrivateKey) {
       console.error(
         `${socket.id}: Invalid private key format - missing BEGIN/END markers`
       );
@@ -662,12 +5229,28 @@ io.on("connection", (socket) => {
       return;
     }
 
-    // Normalize line endings in the private key (important for SSH)
-    processedPrivateKey = processedPrivateKey.replace(/\r\n/g, "\n");
+    // Validate optional jump hosts (ProxyJump style, first entry is dialled directly)
+    const jumpHosts = [];
+    for (const [index, hop] of (Array.isArray(data.jumpHosts) ? data.jumpHosts : []).entries()) {
+      const hopKey = hop && hop.privateKey ? normalizePrivateKey(hop.privateKey) : null;
+      const errorMsg =
+        !hop || !hop.host || !hop.username
+          ? `Jump host ${index + 1}: missing required connection parameters`
+          : hop.privateKey && !hopKey
+          ? `Jump host ${index + 1}: invalid private key format - please use PEM format with BEGIN/END markers`
+          : null;
+
+      if (errorMsg) {
+        console.error(`${socket.id}: ${errorMsg}`);
+        socket.emit("ssh-error", { message: errorMsg, hop: index + 1 });
+        return;
+      }
+
+      jumpHosts.push({ ...hop, port: parseInt(hop.port) || 22, privateKey: hopKey });
+    }
 
     // Create a unique session ID
     const sessionId = crypto.randomUUID();
-    socketToSession.set(socket.id, sessionId);
 
     // Create SSH client
     const sshClient = new ssh2.Client();
@@ -681,46 +5264,94 @@ io.on("connection", (socket) => {
       host,
       port,
       username,
+      ownerId: socket.data.user ? socket.data.user.id : null, // Only this user may reattach as owner
+      reattachToken: crypto.randomBytes(24).toString("base64url"), // ...and only with this secret
       created: new Date(),
       lastActivity: new Date(),
       cols: 80, // Default terminal size
       rows: 24, // Default terminal size
       authenticated: false, // Track if authentication was successful
+      awaitingAuthPrompt: false, // Waiting for the user to answer an auth prompt
       monitoringActive: false, // Flag to prevent duplicate monitoring
       lastCommandTime: 0, // Track when the last command was sent
+      recordingRequested: data.record === true, // Opt-in asciicast recording
+      recordInputRequested: data.recordInput === true,
+      recording: null,
+      jumpHosts: jumpHosts.map(({ host, port, username }) => ({ host, port, username })),
+      jumpClients: [], // ssh2 clients for each jump host, in hop order
+      viewers: new Map(), // socketId -> { role, name, userId, attachedAt }
+      shareTokens: new Map(), // share token -> { role, expiresAt, usesLeft, viewers }
+      shared: false, // Set once a share token was handed out
+      shells: new Map(), // shellId -> shell channel with its own scrollback
     };
 
-    // Set a strict hard timeout for authentication
-    const hardAuthTimeout = setTimeout(() => {
-      if (!connection.authenticated) {
-        console.log(
-          `${socket.id}: Hard authentication timeout reached, forcibly ending connection`
-        );
-        socket.emit("ssh-error", {
-          message: "Authentication timeout - connection terminated",
-        });
+    // The socket that opened the session owns it
+    attachViewer(socket, connection, "owner");
 
-        // Force destroy the connection to prevent loops
-        if (sshClient) {
-          try {
-            // Destroy the underlying socket forcibly
-            if (sshClient._sock) {
-              sshClient._sock.destroy();
-            }
-            sshClient.end();
-          } catch (err) {
-            console.error(
-              `${socket.id}: Error during forced disconnection: ${err.message}`
-            );
+    // Abort a connection that never finished authenticating
+    const abortAuthentication = (message) => {
+      // Whatever fails while the chain is torn down, the client hears about it once
+      if (connection.authAborted) return;
+      connection.authAborted = true;
+
+      console.log(`${socket.id}: ${message}, forcibly ending connection`);
+      socket.emit("ssh-error", { message });
+
+      // Force destroy the connection to prevent loops
+      if (sshClient) {
+        try {
+          // Destroy the underlying socket forcibly
+          if (sshClient._sock) {
+            sshClient._sock.destroy();
           }
+          sshClient.end();
+        } catch (err) {
+          console.error(
+            `${socket.id}: Error during forced disconnection: ${err.message}`
+          );
         }
+      }
+
+      closeJumpClients(connection);
+      cleanupConnection(socket.id, sessionId);
+    };
+
+    // Set a strict hard timeout for authentication. It is paused while the
+    // user answers a password/OTP prompt and re-armed afterwards.
+    const armAuthTimeout = () => {
+      if (connection.hardAuthTimeout) {
+        clearTimeout(connection.hardAuthTimeout);
+      }
+      connection.hardAuthTimeout = setTimeout(() => {
+        if (!connection.authenticated) {
+          abortAuthentication("Authentication timeout - connection terminated");
+        }
+      }, 15000); // 15 seconds hard timeout for authentication
+    };
+
+    const pauseAuthTimeout = () => {
+      if (connection.hardAuthTimeout) {
+        clearTimeout(connection.hardAuthTimeout);
+        connection.hardAuthTimeout = null;
+      }
+    };
 
-        cleanupConnection(socket.id, sessionId);
+    // Relay an authentication prompt to the browser and wait for the answers
+    const promptClient = async (prompt, eventName) => {
+      pauseAuthTimeout();
+      connection.awaitingAuthPrompt = true;
+
+      try {
+        return await requestAuthResponses(socket, { sessionId, ...prompt }, eventName);
+      } finally {
+        connection.awaitingAuthPrompt = false;
+        if (!connection.authenticated) {
+          armAuthTimeout();
+        }
       }
-    }, 15000); // 15 seconds hard timeout for authentication
+    };
 
-    // Store the timeout reference for cleanup
-    connection.hardAuthTimeout = hardAuthTimeout;
+    armAuthTimeout();
 
     // Setup SSH client event handlers
     sshClient.on("ready", () => {
@@ -744,6 +5375,7 @@ io.on("connection", (socket) => {
       socket.emit("ssh-connected", {
         message: "SSH connection established successfully",
         sessionId: sessionId,
+        reattachToken: connection.reattachToken,
       });
 
       // Create shell only after successful authentication
@@ -760,7 +5392,9 @@ io.on("connection", (socket) => {
 
       const errorMsg = `SSH connection error: ${err.message}`;
       console.error(`${socket.id}: ${errorMsg}`);
-      socket.emit("ssh-error", { message: errorMsg });
+      if (!connection.authAborted) {
+        socket.emit("ssh-error", { message: errorMsg });
+      }
 
       // Always cleanup on error to prevent auth loops
       cleanupConnection(socket.id, sessionId);
@@ -769,7 +5403,8 @@ io.on("connection", (socket) => {
     // Handle SSH client end
     sshClient.on("end", () => {
       console.log(`${socket.id}: SSH client ended`);
-      socket.emit("ssh-ended", { message: "SSH connection ended" });
+      emitToSession(connection, "ssh-ended", { message: "SSH connection ended" });
+      reportConnectionLost(connection);
 
       // Always cleanup on end to prevent auth loops
       cleanupConnection(socket.id, sessionId);
@@ -780,10 +5415,16 @@ io.on("connection", (socket) => {
       console.log(
         `${socket.id}: SSH client closed${hadError ? " with error" : ""}`
       );
-      socket.emit("ssh-closed", {
+      emitToSession(connection, "ssh-closed", {
         message: `SSH connection closed${hadError ? " with error" : ""}`,
       });
 
+      // Tear down the bastion chain even if the session never authenticated
+      closeJumpClients(connection);
+
+      // Nobody asked for this disconnect, so unreachable alerts fire now
+      reportConnectionLost(connection);
+
       // Always cleanup on close to prevent auth loops
       cleanupConnection(socket.id, sessionId);
     });
@@ -795,146 +5436,34 @@ io.on("connection", (socket) => {
         host,
         port: parseInt(port),
         username,
-        readyTimeout: 30000, // 30 seconds timeout
+        // ssh2's readyTimeout would keep running while the user types a password
+        // or OTP; the hard auth timeout bounds the handshake instead
+        readyTimeout: 0,
         keepaliveInterval: 10000, // Send keepalive packet every 10 seconds
         keepaliveCountMax: 3, // Allow 3 missed keepalives before disconnect
-        algorithms: {
-          // Explicitly define supported algorithms for better compatibility
-          kex: [
-            "curve25519-sha256",
-            "curve25519-sha256@libssh.org",
-            "ecdh-sha2-nistp256",
-            "ecdh-sha2-nistp384",
-            "ecdh-sha2-nistp521",
-            "diffie-hellman-group-exchange-sha256",
-            "diffie-hellman-group14-sha1", // More compatible with older servers
-          ],
-          serverHostKey: [
-            "ssh-rsa",
-            "rsa-sha2-512",
-            "rsa-sha2-256",
-            "ecdsa-sha2-nistp256",
-            "ecdsa-sha2-nistp384",
-            "ecdsa-sha2-nistp521",
-            "ssh-ed25519",
-          ],
-          cipher: [
-            "aes128-gcm@openssh.com",
-            "aes256-gcm@openssh.com",
-            "aes128-ctr",
-            "aes192-ctr",
-            "aes256-ctr",
-            "aes128-cbc", // More compatible with older servers
-            "aes256-cbc", // More compatible with older servers
-          ],
-          hmac: [
-            "hmac-sha2-256-etm@openssh.com",
-            "hmac-sha2-512-etm@openssh.com",
-            "hmac-sha2-256",
-            "hmac-sha2-512",
-            "hmac-sha1", // More compatible with older servers
-          ],
-          compress: ["none", "zlib@openssh.com"],
-        },
+        algorithms: SSH_ALGORITHMS,
         // Set maximum number of concurrent channels - prevent SSH_MSG_CHANNEL_OPEN_FAILURE
         maxSessions: 6,
+        // Check the host key against the known hosts store
+        hostVerifier: createHostVerifier(socket, {
+          host,
+          port,
+          trustedFingerprint: data.hostKeyFingerprint,
+          prompt: (prompt) =>
+            promptClient(prompt, "ssh-host-key-verify").then(([accepted]) => accepted === true),
+        }),
       };
 
-      // CRITICAL: Fix for authentication issues
-      if (processedPrivateKey) {
-        // Use privateKey with or without passphrase
-        connectConfig.privateKey = processedPrivateKey;
-
-        // Only add passphrase if it exists
-        if (passphrase && passphrase.length > 0) {
-          connectConfig.passphrase = passphrase;
-          console.log(`${socket.id}: Using private key with passphrase`);
-        } else {
-          console.log(`${socket.id}: Using private key without passphrase`);
-        }
-      }
-
-      // Explicitly set auth method to avoid "no valid auth methods available"
-      connectConfig.authHandler = function (
-        methodsLeft,
-        partialSuccess,
-        callback
-      ) {
-        // Add null check to prevent "Cannot read properties of null (reading 'join')" error
-        if (!methodsLeft || !Array.isArray(methodsLeft)) {
-          console.log(
-            `${socket.id}: WARNING - Auth methods list is ${
-              methodsLeft === null ? "null" : "invalid"
-            }, defaulting to publickey`
-          );
-          socket.emit(
-            "ssh-data",
-            `\r\n\x1b[33mWarning: Auth methods unavailable, trying default authentication\x1b[0m\r\n`
-          );
-          return callback("publickey");
-        }
-
-        console.log(
-          `${socket.id}: Auth methods available: ${methodsLeft.join(", ")}`
-        );
-        socket.emit(
-          "ssh-data",
-          `\r\n\x1b[33mAuth methods available: ${methodsLeft.join(
-            ", "
-          )}\x1b[0m\r\n`
-        );
-
-        // Priority of auth method selection
-        if (methodsLeft.includes("publickey")) {
-          console.log(
-            `${socket.id}: Selecting 'publickey' authentication method`
-          );
-          return callback("publickey");
-        }
-
-        if (methodsLeft.includes("keyboard-interactive")) {
-          console.log(
-            `${socket.id}: Selecting 'keyboard-interactive' authentication method`
-          );
-          return callback("keyboard-interactive");
-        }
-
-        if (methodsLeft.includes("password")) {
-          console.log(
-            `${socket.id}: Selecting 'password' authentication method`
-          );
-          return callback("password");
-        }
-
-        // If no matching method, use the first available
-        console.log(
-          `${socket.id}: No preferred auth methods available, using: ${
-            methodsLeft[0] || "none"
-          }`
-        );
-        callback(methodsLeft[0] || "none");
-      };
-
-      // Handle keyboard-interactive auth as fallback
-      sshClient.on(
-        "keyboard-interactive",
-        (name, instructions, lang, prompts, finish) => {
-          console.log(
-            `${socket.id}: Keyboard-interactive auth initiated: ${prompts.length} prompts`
-          );
-          
-          // Since we're using private key auth primarily, we'll respond with empty answers
-          // This is a fallback mechanism in case the server requests keyboard auth
-          const responses = prompts.map(() => '');
-          finish(responses);
-          
-          // Notify client about the authentication attempt
-          socket.emit(
-            "ssh-data",
-            `\r\n\x1b[33mAttempting keyboard-interactive authentication...\x1b[0m\r\n`
-          );
-        }
-      );
+      // Private key, password and keyboard-interactive authentication
+      configureClientAuth(socket, sshClient, connectConfig, {
+        username,
+        host,
+        privateKey: processedPrivateKey,
+        passphrase,
+        password,
+        promptClient,
+        abort: abortAuthentication,
+      });
 
       // Set up connection watchdog to prevent hanging connections
       const setupWatchdog = () => {
@@ -942,7 +5471,7 @@ io.on("connection", (socket) => {
 
         // Set up a watchdog to check connection status during authentication
         watchdogTimer = setInterval(() => {
-          if (connection && !connection.authenticated) {
+          if (connection && !connection.authenticated && !connection.awaitingAuthPrompt) {
             console.log(
               `${socket.id}: Watchdog check - connection still authenticating...`
             );
@@ -978,18 +5507,81 @@ io.on("connection", (socket) => {
         `${socket.id}: Attempting SSH connection to ${username}@${host}:${port}`
       );
 
-      // Log helpful info
-      socket.emit(
-        "ssh-data",
-        `\r\n\x1b[33mAttempting to connect to ${username}@${host}:${port}...\x1b[0m\r\n`
-      );
-      socket.emit(
-        "ssh-data",
-        `\r\n\x1b[33mUsing private key authentication...\x1b[0m\r\n`
-      );
+      // Dial every jump host first, then connect through the last tunnel
+      connectThroughJumpHosts(socket, connection, jumpHosts, {
+        promptClient,
+        onHopReady: armAuthTimeout,
+      })
+        .then((sock) => {
+          if (connection.authAborted) {
+            if (sock) sock.destroy();
+            return;
+          }
+          if (sock) {
+            connectConfig.sock = sock;
+          }
+
+          // Log helpful info
+          socket.emit(
+            "ssh-data",
+            `\r\n\x1b[33mAttempting to connect to ${username}@${host}:${port}...\x1b[0m\r\n`
+          );
+          socket.emit(
+            "ssh-data",
+            `\r\n\x1b[33mUsing ${
+              processedPrivateKey ? "private key" : "password"
+            } authentication...\x1b[0m\r\n`
+          );
+
+          // Actually connect - this is where authentication happens.
+          // Unparseable keys and bad passphrases throw right here
+          try {
+            sshClient.connect(connectConfig);
+          } catch (error) {
+            const errorMsg = `Failed to connect: ${error.message}`;
+            console.error(`${socket.id}: ${errorMsg}`);
+            socket.emit("ssh-error", { message: errorMsg });
+
+            if (connection.hardAuthTimeout) {
+              clearTimeout(connection.hardAuthTimeout);
+              connection.hardAuthTimeout = null;
+            }
+            watchdogCleanup();
+            closeJumpClients(connection);
+            cleanupConnection(socket.id, sessionId);
+          }
+        })
+        .catch((err) => {
+          // Only hop failures carry err.hop, anything else is a local error.
+          // An aborted authentication has already reported its own error
+          if (connection.authAborted) {
+            console.log(`${socket.id}: Jump host chain closed after aborted authentication`);
+          } else if (err.hop) {
+            const hop = jumpHosts[err.hop - 1];
+            const errorMsg = `Jump host ${err.hop} (${hop.username}@${hop.host}:${hop.port}): ${err.message}`;
+            console.error(`${socket.id}: ${errorMsg}`);
+            socket.emit("ssh-error", {
+              message: errorMsg,
+              hop: err.hop,
+              host: hop.host,
+              port: hop.port,
+              level: err.level,
+            });
+          } else {
+            const errorMsg = `Failed to connect: ${err.message}`;
+            console.error(`${socket.id}: ${errorMsg}`);
+            socket.emit("ssh-error", { message: errorMsg });
+          }
 
-      // Actually connect - this is where authentication happens
-      sshClient.connect(connectConfig);
+          if (connection.hardAuthTimeout) {
+            clearTimeout(connection.hardAuthTimeout);
+            connection.hardAuthTimeout = null;
+          }
+          // The target client never dialed, so nothing else stops the watchdog
+          watchdogCleanup();
+          closeJumpClients(connection);
+          cleanupConnection(socket.id, sessionId);
+        });
     } catch (error) {
       const errorMsg = `Failed to connect: ${error.message}`;
       console.error(`${socket.id}: ${errorMsg}`);
@@ -998,17 +5590,46 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Answers to ssh-auth-prompt (password, OTP, PAM prompts)
+  onClientEvent(socket, "ssh-auth-response", (data) => {
+    const { promptId, responses, cancel } = data;
+
+    // Only the socket that received the prompt may answer it
+    const pending = pendingAuthPrompts.get(promptId);
+    if (!pending || pending.socketId !== socket.id) {
+      console.warn(`${socket.id}: Received response for unknown auth prompt ${promptId}`);
+      return;
+    }
+
+    settleAuthPrompt(promptId, ({ resolve, reject }) => {
+      if (cancel) {
+        reject(new Error("cancelled by user"));
+      } else {
+        resolve(Array.isArray(responses) ? responses : [responses]);
+      }
+    });
+  });
+
+  // Answer to ssh-host-key-verify - { promptId, accept }
+  onClientEvent(socket, "ssh-host-key-response", (data) => {
+    const pending = pendingAuthPrompts.get(data.promptId);
+    if (!pending || pending.socketId !== socket.id) {
+      console.warn(`${socket.id}: Received response for unknown host key prompt ${data.promptId}`);
+      return;
+    }
+
+    settleAuthPrompt(data.promptId, ({ resolve }) => resolve([data.accept === true]));
+  });
+
   // Handle command execution for system monitoring - Use the queue to prevent channel saturation
-  socket.on("ssh-execute-command", async (data, callback) => {
+  onClientEvent(socket, "ssh-execute-command", async (data, reply) => {
     const sessionId = socketToSession.get(socket.id);
 
     if (!sessionId || !sshConnections.has(sessionId)) {
       console.warn(
         `${socket.id}: Attempted to execute command without an active SSH connection`
       );
-      if (typeof callback === "function") {
-        callback({ error: "No active SSH connection", output: "" });
-      }
+      reply({ status: "error", error: "No active SSH connection", output: "" });
       return;
     }
 
@@ -1019,22 +5640,23 @@ io.on("connection", (socket) => {
       console.warn(
         `${socket.id}: SSH client not authenticated for command execution`
       );
-      if (typeof callback === "function") {
-        callback({ error: "SSH client not authenticated", output: "" });
-      }
+      reply({ status: "error", error: "SSH client not authenticated", output: "" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      console.warn(`${socket.id}: Observer attempted to execute a command`);
+      reply({ status: "error", error: "Read-only observers cannot execute commands", output: "" });
       return;
     }
 
     const { command, background = false } = data; // Extract background flag from request
 
-    // Check if this is a kill command that needs special handling
-    if (command.match(/^(sudo\s+)?kill\s+/)) {
-      if (processKillCommand(command, socket, sessionId, connection)) {
-        return; // Command handled by processKillCommand
-      }
+    if (typeof command !== "string" || !command.trim()) {
+      reply({ status: "error", error: "Missing required parameter: command", output: "" });
+      return;
     }
-    
-    // Continue with normal command processing
+
     console.log(`${socket.id}: Queueing ${background ? 'background' : 'foreground'} command: ${command}`);
 
     // Apply command throttling
@@ -1044,24 +5666,66 @@ io.on("connection", (socket) => {
     }
     connection.lastCommandTime = now;
 
-    // Add command options to connection for stream handling
-    connection.options = data;
-    connection.executionId = data.executionId;
-
     // Add to queue instead of executing directly
     cmdQueue.add({
       connection,
       command,
-      callback,
+      callback: reply,
       socket,
       socketId: socket.id,
       sessionId,
-      background // Pass background flag to queue processor
+      background, // Pass background flag to queue processor
+      executionId: data.executionId,
+      streamOutput: data.stream === true,
+      priority: data.priority,
+      timeoutMs: normalizeCommandTimeout(data.timeout),
     });
   });
 
+  // Cancel a queued or running command of the current session
+  onClientEvent(socket, "command-cancel", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot cancel commands" });
+      return;
+    }
+
+    const signal = normalizeSignal(data.signal);
+    if (signal === undefined) {
+      reply({ error: `Unsupported signal: ${data.signal}` });
+      return;
+    }
+
+    const state = cmdQueue.cancel(data.executionId, connection.sessionId, signal);
+    if (!state) {
+      reply({ error: `Unknown execution: ${data.executionId}` });
+      return;
+    }
+
+    console.log(`${socket.id}: Cancelled ${state} command ${data.executionId}${signal ? ` with SIG${signal}` : ""}`);
+    reply({ executionId: data.executionId, cancelled: true, state, signal });
+  });
+
+  // Queue depth and items of the current session
+  onClientEvent(socket, "command-queue-state", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    reply(cmdQueue.getSessionState(connection.sessionId));
+  });
+
   // Handle batch command execution
-  socket.on("ssh-execute-batch", async (data) => {
+  onClientEvent(socket, "ssh-execute-batch", async (data) => {
     const { commands, batchId, sessionId, background = false } = data;
 
     if (!sessionId || !sshConnections.has(sessionId)) {
@@ -1091,6 +5755,16 @@ io.on("connection", (socket) => {
       return;
     }
 
+    if (!canControlSession(socket, connection)) {
+      console.warn(`${socket.id}: Observer attempted to execute a batch`);
+      socket.emit("command-batch-result", {
+        batchId,
+        results: [],
+        error: "Read-only observers cannot execute commands",
+      });
+      return;
+    }
+
     if (!commands || !Array.isArray(commands) || commands.length === 0) {
       console.warn(`${socket.id}: Empty command batch received`);
       socket.emit("command-batch-result", {
@@ -1105,50 +5779,102 @@ io.on("connection", (socket) => {
       `${socket.id}: Processing ${background ? 'background' : 'foreground'} batch of ${commands.length} commands (ID: ${batchId})`
     );
 
+    let steps;
     try {
-      // Execute commands in sequence with limited concurrency (3 commands at once)
-      const results = [];
-      const MAX_CONCURRENT = 3;
-      const chunks = [];
-
-      // Chunk commands into groups for parallel execution
-      for (let i = 0; i < commands.length; i += MAX_CONCURRENT) {
-        chunks.push(commands.slice(i, i + MAX_CONCURRENT));
-      }
-
-      // Process each chunk sequentially
-      for (const chunk of chunks) {
-        // Process commands in this chunk concurrently
-        const chunkPromises = chunk.map((command) => {
-          return new Promise((resolve) => {
-            cmdQueue.add({
-              connection,
-              command,
-              socket,
-              socketId: socket.id,
-              sessionId,
-              background,
-              callback: (result) => {
-                resolve({
-                  command,
-                  output: result.output || "",
-                  error: result.error || null,
-                  background
-                });
-              },
-            });
+      const defaults = { timeoutMs: normalizeCommandTimeout(data.timeout), cwd: data.cwd, env: data.env || {} };
+      steps = commands.map((step) => normalizeBatchStep(step, defaults));
+    } catch (err) {
+      socket.emit("command-batch-result", { batchId, results: [], error: err.message, background });
+      return;
+    }
+
+    const mode = data.mode || "parallel";
+    if (!BATCH_MODES.includes(mode)) {
+      socket.emit("command-batch-result", {
+        batchId,
+        results: [],
+        error: `Unknown batch mode: ${mode}`,
+        background,
+      });
+      return;
+    }
+
+    try {
+      let completed = 0;
+
+      // Report each step as soon as it finishes, ahead of the final result
+      const reportStep = (result) => {
+        completed++;
+        socket.emit("command-batch-progress", {
+          batchId,
+          mode,
+          index: result.index,
+          total: steps.length,
+          completed,
+          result,
+          background,
+        });
+        return result;
+      };
+
+      const runStep = (step, index) =>
+        new Promise((resolve) => {
+          cmdQueue.add({
+            connection,
+            command: buildStepCommand(step),
+            socket,
+            socketId: socket.id,
+            sessionId,
+            // The batch's background flag only picks the step priority; steps can still be cancelled one by one
+            priority: background ? "background" : "normal",
+            executionId: batchId ? `${batchId}:${index}` : undefined,
+            timeoutMs: step.timeoutMs,
+            callback: (result) => {
+              resolve(reportStep({ ...result, index, command: step.command }));
+            },
           });
         });
 
-        // Wait for all commands in this chunk to complete
-        const chunkResults = await Promise.all(chunkPromises);
-        results.push(...chunkResults);
+      const results = [];
+      if (mode === "parallel") {
+        // The scheduler caps how many of these run at once for this session
+        results.push(...(await Promise.all(steps.map(runStep))));
+      } else {
+        for (const [index, step] of steps.entries()) {
+          if (mode === "stop-on-error" && results.some(isFailedStep)) {
+            results.push(
+              reportStep({
+                executionId: batchId ? `${batchId}:${index}` : null,
+                index,
+                command: step.command,
+                status: "skipped",
+                exitCode: null,
+                signal: null,
+                stdout: "",
+                stderr: "",
+                startedAt: null,
+                durationMs: 0,
+                truncated: false,
+                error: "Skipped after an earlier step failed",
+                output: "",
+                errorOutput: "",
+                background,
+              })
+            );
+            continue;
+          }
+
+          results.push(await runStep(step, index));
+        }
       }
 
       // Send all results back to the client
       socket.emit("command-batch-result", {
         batchId,
+        mode,
         results,
+        failed: results.filter((result) => result.status !== "skipped" && isFailedStep(result)).length,
+        stopped: results.some((result) => result.status === "skipped"),
         background
       });
     } catch (error) {
@@ -1162,7 +5888,8 @@ io.on("connection", (socket) => {
   });
 
   // Handle shell restart requests
-  socket.on("ssh-restart-shell", () => {
+  onClientEvent(socket, "ssh-restart-shell", (data) => {
+    const shellId = (data && data.shellId) || DEFAULT_SHELL_ID;
     const sessionId = socketToSession.get(socket.id);
 
     if (!sessionId || !sshConnections.has(sessionId)) {
@@ -1176,6 +5903,12 @@ io.on("connection", (socket) => {
     const connection = sshConnections.get(sessionId);
     const { sshClient } = connection;
 
+    if (!canControlSession(socket, connection)) {
+      console.warn(`${socket.id}: Observer attempted to restart the shell`);
+      socket.emit("ssh-error", { message: "Read-only observers cannot restart the shell" });
+      return;
+    }
+
     if (!sshClient || !sshClient.config) {
       console.error(
         `${socket.id}: SSH client not properly initialized for restart`
@@ -1186,15 +5919,27 @@ io.on("connection", (socket) => {
       return;
     }
 
+    const shell = getShell(connection, shellId);
+    if (!shell) {
+      socket.emit("ssh-error", { message: `Unknown shell: ${shellId}`, shellId });
+      return;
+    }
+
     // Cancel any pending commands for this session
-    cmdQueue.clearSessionCommands(sessionId);
+    if (shellId === DEFAULT_SHELL_ID) {
+      cmdQueue.clearSessionCommands(sessionId);
+    }
 
     // Close existing stream if any
-    if (connection.sshStream && !connection.sshStream.destroyed) {
+    if (shell.stream && !shell.stream.destroyed) {
       try {
-        console.log(`${socket.id}: Closing existing SSH stream for restart`);
-        connection.sshStream.end();
-        connection.sshStream = null;
+        console.log(`${socket.id}: Closing existing SSH stream ${shellId} for restart`);
+        shell.restarting = true;
+        shell.stream.end();
+        shell.stream = null;
+        if (shellId === DEFAULT_SHELL_ID) {
+          connection.sshStream = null;
+        }
       } catch (err) {
         console.error(`${socket.id}: Error closing stream: ${err.message}`);
       }
@@ -1202,7 +5947,7 @@ io.on("connection", (socket) => {
 
     // Wait a moment before creating a new shell
     setTimeout(() => {
-      createShell(socket, connection);
+      createShell(socket, connection, { shellId });
     }, 300);
   });
 
@@ -1219,8 +5964,14 @@ io.on("connection", (socket) => {
 
     const connection = sshConnections.get(sessionId);
 
+    // Observers follow the owner's terminal size
+    if (!canControlSession(socket, connection)) {
+      return;
+    }
+
     try {
       const { cols, rows } = data;
+      const shellId = data.shellId || DEFAULT_SHELL_ID;
       if (!cols || !rows || cols <= 0 || rows <= 0) {
         console.warn(
           `${socket.id}: Invalid terminal dimensions: ${cols}x${rows}`
@@ -1228,26 +5979,109 @@ io.on("connection", (socket) => {
         return;
       }
 
-      // Store current dimensions
-      connection.cols = cols;
-      connection.rows = rows;
+      const shell = getShell(connection, shellId);
+      if (!shell) {
+        console.warn(`${socket.id}: Attempted to resize unknown shell ${shellId}`);
+        return;
+      }
+
+      // Store current dimensions; new shells start at the default shell's size
+      shell.cols = cols;
+      shell.rows = rows;
+      if (shellId === DEFAULT_SHELL_ID) {
+        connection.cols = cols;
+        connection.rows = rows;
+      }
 
-      console.log(`${socket.id}: Resizing terminal to ${cols}x${rows}`);
+      console.log(`${socket.id}: Resizing terminal ${shellId} to ${cols}x${rows}`);
 
       // If SSH stream exists, set window size
-      if (connection.sshStream && !connection.sshStream.destroyed) {
-        connection.sshStream.setWindow(rows, cols);
+      const stream = getShellStream(connection, shellId);
+      if (stream) {
+        stream.setWindow(rows, cols);
         connection.lastActivity = new Date();
+        if (shellId === DEFAULT_SHELL_ID) {
+          recordEvent(connection, "r", `${cols}x${rows}`);
+        }
       }
     } catch (err) {
       console.error(`${socket.id}: Error during resize: ${err.message}`);
     }
   });
 
-  // Handle input from client to SSH server
-  socket.on("ssh-input", (data) => {
+  // Start or stop asciicast recording for the current session
+  onClientEvent(socket, "recording-start", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot control recording" });
+      return;
+    }
+
+    try {
+      const recording = startRecording(connection, { recordInput: data.recordInput === true });
+      reply({ recordingId: recording.recordingId, recordInput: recording.recordInput });
+    } catch (err) {
+      console.error(`${socket.id}: Failed to start recording: ${err.message}`);
+      reply({ error: `Failed to start recording: ${err.message}` });
+    }
+  });
+
+  onClientEvent(socket, "recording-stop", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    if (!canControlSession(socket, connection)) {
+      reply({ error: "Read-only observers cannot control recording" });
+      return;
+    }
+
+    const recordingId = stopRecording(connection);
+    connection.recordingRequested = false;
+    reply(recordingId ? { recordingId, stopped: true } : { error: "Session is not being recorded" });
+  });
+
+  // Explicit scrollback request, e.g. after the client cleared its terminal
+  onClientEvent(socket, "ssh-scrollback", (data, reply) => {
+    const connection = getActiveConnection(socket);
+
+    if (!connection) {
+      reply({ error: "No active SSH connection" });
+      return;
+    }
+
+    const shell = getShell(connection, data.shellId);
+    if (!shell) {
+      reply({ error: `Unknown shell: ${data.shellId}` });
+      return;
+    }
+
+    reply({ sessionId: connection.sessionId, shellId: shell.shellId, ...readScrollback(shell.scrollback, data.offset) });
+  });
+
+  // Handle input from client to SSH server, either (data, shellId) or { shellId, data }
+  socket.on("ssh-input", (input, targetShellId) => {
+    const isWrapped = input && typeof input === "object" && !Buffer.isBuffer(input);
+    const data = isWrapped ? input.data : input;
+    const shellId = (isWrapped ? input.shellId : targetShellId) || DEFAULT_SHELL_ID;
     const sessionId = socketToSession.get(socket.id);
 
+    // Only text and binary keystrokes may reach the shell stream
+    if (typeof data !== "string" && !Buffer.isBuffer(data)) {
+      console.warn(`${socket.id}: Rejected ssh-input that is neither a string nor binary`);
+      socket.emit("ssh-error", { message: "Invalid input: expected a string or binary data", shellId });
+      return;
+    }
+
     if (!sessionId || !sshConnections.has(sessionId)) {
       console.warn(
         `${socket.id}: Attempted to send data without an active SSH connection`
@@ -1257,7 +6091,13 @@ io.on("connection", (socket) => {
     }
 
     const connection = sshConnections.get(sessionId);
-    const { sshStream } = connection;
+    const sshStream = getShellStream(connection, shellId);
+
+    if (!canControlSession(socket, connection)) {
+      console.warn(`${socket.id}: Rejected input from read-only observer`);
+      socket.emit("ssh-error", { message: "Read-only observers cannot send input" });
+      return;
+    }
 
     if (sshStream && !sshStream.destroyed) {
       // Don't log the actual content for security reasons, just the size
@@ -1266,6 +6106,9 @@ io.on("connection", (socket) => {
 
       try {
         sshStream.write(data);
+        if (shellId === DEFAULT_SHELL_ID) {
+          recordEvent(connection, "i", String(data));
+        }
       } catch (err) {
         console.error(`${socket.id}: Error writing to stream: ${err.message}`);
         socket.emit("ssh-error", {
@@ -1273,6 +6116,7 @@ io.on("connection", (socket) => {
         });
       }
     } else if (
+      shellId === DEFAULT_SHELL_ID &&
       connection.sshClient &&
       connection.sshClient.config &&
       connection.authenticated
@@ -1295,8 +6139,8 @@ io.on("connection", (socket) => {
         }
       }, 500);
     } else {
-      console.warn(`${socket.id}: Tried to write to destroyed stream`);
-      socket.emit("ssh-error", { message: "SSH stream is not available" });
+      console.warn(`${socket.id}: Tried to write to destroyed stream ${shellId}`);
+      socket.emit("ssh-error", { message: "SSH stream is not available", shellId });
     }
   });
 
@@ -1308,9 +6152,15 @@ io.on("connection", (socket) => {
     if (sessionId) {
       // Clear any monitoring and pending commands
       const connection = sshConnections.get(sessionId);
-      if (connection && connection.monitoringTimer) {
-        clearInterval(connection.monitoringTimer);
-        connection.monitoringTimer = null;
+
+      // Only the owner ends the session, everyone else just leaves it
+      if (connection && getViewerRole(socket, connection) !== "owner") {
+        detachViewer(socket, connection);
+        return;
+      }
+
+      if (connection) {
+        stopMetricsSampler(connection);
       }
 
       cmdQueue.clearSessionCommands(sessionId);
@@ -1332,6 +6182,11 @@ io.on("connection", (socket) => {
 
     const connection = sshConnections.get(sessionId);
 
+    if (!canControlSession(socket, connection)) {
+      socket.emit("ssh-error", { message: "Read-only observers cannot refresh the session" });
+      return;
+    }
+
     // If the stream is available, just send a command to refresh the view
     if (connection.sshStream && !connection.sshStream.destroyed) {
       console.log(`${socket.id}: Refreshing SSH connection view`);
@@ -1373,16 +6228,59 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Additional terminal tabs on the same connection
+  registerShellHandlers(socket);
+
+  // Metrics subscriptions for dashboards
+  registerMonitoringHandlers(socket);
+  registerMetricsHistoryHandlers(socket);
+
+  // Threshold alerts on collected metrics
+  registerAlertHandlers(socket);
+
+  // Process list, signals and renice
+  registerProcessHandlers(socket);
+
+  // systemd units, actions, status and journal
+  registerServiceHandlers(socket);
+
+  // Live journald and file tailing
+  registerLogHandlers(socket);
+
+  // Docker containers, images, stats and actions
+  registerDockerHandlers(socket);
+
+  // kubectl inspection, pod logs and exec shells
+  registerKubernetesHandlers(socket);
+
+  // SFTP file browser and transfers
+  registerSftpHandlers(socket);
+
+  // Port forwarding tunnels
+  registerPortForwardHandlers(socket);
+
+  // Session sharing with collaborators and read-only observers
+  registerViewerHandlers(socket);
+
   // Handle socket disconnection (browser tab close, refresh, etc.)
   socket.on("disconnect", () => {
     console.log(`${socket.id}: Client socket disconnected (may be temporary)`);
 
+    // Nobody is left to answer pending authentication prompts
+    cancelAuthPrompts(socket.id, "client disconnected");
+
     // Stop heartbeat
     if (socket.heartbeatInterval) {
       clearInterval(socket.heartbeatInterval);
       socket.heartbeatInterval = null;
     }
 
+    // Let the other viewers know this socket is gone
+    const attachedConnection = sshConnections.get(socketToSession.get(socket.id));
+    if (attachedConnection) {
+      detachViewer(socket, attachedConnection);
+    }
+
     // We'll let the session expiry cleaner handle abandoned sessions
   });
 });
@@ -1463,39 +6361,13 @@ const cleanExpiredSessions = () => {
         )} minutes`
       );
 
-      // Clean up monitoring resources
-      if (connection.monitoringTimer) {
-        clearInterval(connection.monitoringTimer);
-        connection.monitoringTimer = null;
-      }
-
-      // Clean up high frequency monitoring
-      if (connection.highFreqMonitoringTimer) {
-        clearInterval(connection.highFreqMonitoringTimer);
-        connection.highFreqMonitoringTimer = null;
-      }
-
-      // Clean up the connection
-      if (connection.sshStream && !connection.sshStream.destroyed) {
-        connection.sshStream.destroy();
-      }
-
-      if (connection.sshClient) {
-        if (connection.sshClient._sock) {
-          connection.sshClient._sock.destroy();
-        }
-        connection.sshClient.end();
-      }
-
-      // Remove the session
-      sshConnections.delete(sessionId);
-
-      // Remove any socket associations for this session
-      for (const [socketId, sid] of socketToSession.entries()) {
-        if (sid === sessionId) {
-          socketToSession.delete(socketId);
-        }
-      }
+      // Full teardown - ending the client alone would leave the close
+      // handler with no session to clean, leaking forwards, SFTP handles,
+      // log followers and recordings
+      emitToSession(connection, "ssh-ended", {
+        message: "Session expired after inactivity",
+      });
+      cleanupConnection(connection.socketId, sessionId);
     }
   }
 };
@@ -1507,6 +6379,9 @@ setInterval(runMemoryCheck, MEMORY_CHECK_INTERVAL);
 // Set up session expiry checker
 setInterval(cleanExpiredSessions, 10 * 60 * 1000); // Run every 10 minutes
 
+// Fire unreachable alerts for sessions whose sampler went quiet
+setInterval(checkUnreachableAlerts, 5000);
+
 // Basic health check endpoint
 app.get("/health", (req, res) => {
   const queueState = cmdQueue.getQueueState();
@@ -1517,7 +6392,235 @@ app.get("/health", (req, res) => {
     memory: process.memoryUsage(),
     queuedCommands: queueState.queue,
     runningCommands: queueState.running,
+    queuedSessions: queueState.sessions,
+  });
+});
+
+// The gateway's own credentials must not reach the forwarded service
+const stripForwardCredentials = (req) => {
+  const headers = { ...req.headers };
+  if (CLIENT_AUTH.length > 0 && getBearerToken(headers.authorization)) {
+    delete headers.authorization;
+  }
+
+  const cookie = String(headers.cookie || "")
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry && !entry.startsWith(`${FORWARD_AUTH_COOKIE}=`))
+    .join("; ");
+  if (cookie) {
+    headers.cookie = cookie;
+  } else {
+    delete headers.cookie;
+  }
+
+  let url = req.url;
+  const queryIndex = url.indexOf("?");
+  if (queryIndex !== -1) {
+    const params = new URLSearchParams(url.slice(queryIndex + 1));
+    if (params.has("access_token")) {
+      params.delete("access_token");
+      const query = params.toString();
+      url = url.slice(0, queryIndex) + (query ? `?${query}` : "");
+    }
+  }
+
+  return { url, headers };
+};
+
+// HTTP reverse proxy for port forwards opened in "http" mode
+app.use("/forward/:sessionId/:forwardId", requireClientAuth, (req, res) => {
+  const connection = sshConnections.get(req.params.sessionId);
+  const forward =
+    connection && connection.portForwards && connection.portForwards.get(req.params.forwardId);
+
+  if (!connection || !connection.authenticated || !forward || forward.mode !== "http" || !ownsSession(req.user, connection)) {
+    return res.status(404).json({ error: "Port forward not found" });
+  }
+
+  const mountPath = `/forward/${req.params.sessionId}/${req.params.forwardId}`;
+
+  // Browsers follow links without headers, so a token from the URL becomes a cookie for this forward
+  if (req.query.access_token) {
+    res.cookie(FORWARD_AUTH_COOKIE, req.query.access_token, {
+      path: mountPath,
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+    });
+  }
+
+  const forwarded = stripForwardCredentials(req);
+  const proxyReq = http.request({
+    method: req.method,
+    path: forwarded.url,
+    headers: {
+      ...forwarded.headers,
+      host: `${forward.remoteHost}:${forward.remotePort}`,
+      "x-forwarded-prefix": mountPath,
+    },
+    // Every proxied request rides on its own forwardOut channel
+    createConnection: (options, onCreate) => {
+      openForwardStream(connection, forward, req.socket.remoteAddress, req.socket.remotePort)
+        .then((stream) => {
+          forward.sockets.add(stream);
+          stream.on("close", () => forward.sockets.delete(stream));
+          onCreate(null, stream);
+        })
+        .catch((err) => onCreate(err));
+    },
+  });
+
+  proxyReq.on("response", (proxyRes) => {
+    const headers = { ...proxyRes.headers };
+
+    // Keep absolute redirects inside the proxy path
+    if (headers.location && headers.location.startsWith("/")) {
+      headers.location = mountPath + headers.location;
+    }
+
+    res.writeHead(proxyRes.statusCode, headers);
+    proxyRes.pipe(res);
+  });
+
+  proxyReq.on("error", (err) => {
+    console.error(`Port forward ${forward.forwardId} proxy error: ${err.message}`);
+    if (!res.headersSent) {
+      res.status(502).json({ error: `Bad gateway: ${err.message}` });
+    } else {
+      res.destroy();
+    }
+  });
+
+  req.pipe(proxyReq);
+});
+
+// Admin endpoints are only enabled when ADMIN_API_TOKEN is configured
+const requireAdminToken = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({ error: "Admin API is disabled" });
+  }
+
+  const header = req.get("authorization") || "";
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(adminToken);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+
+  next();
+};
+
+// Known hosts administration - pre-seed, list and revoke host keys
+app.get("/known-hosts", requireAdminToken, (req, res) => {
+  res.status(200).json({
+    policy: HOST_KEY_POLICY,
+    hosts: Object.fromEntries(knownHosts),
+  });
+});
+
+app.put("/known-hosts/:hostPort", requireAdminToken, express.json(), (req, res) => {
+  const [host, port] = req.params.hostPort.split(":");
+  const { fingerprint, publicKey } = req.body || {};
+  let entry = null;
+
+  if (publicKey) {
+    // OpenSSH public key line: "<type> <base64 blob> [comment]"
+    const [keyType, blob] = String(publicKey).trim().split(/\s+/);
+    if (keyType && blob) {
+      entry = { keyType, fingerprint: getHostKeyFingerprint(Buffer.from(blob, "base64")) };
+    }
+  } else if (typeof fingerprint === "string" && fingerprint.startsWith("SHA256:")) {
+    entry = { keyType: req.body.keyType || "unknown", fingerprint };
+  }
+
+  if (!host || !entry) {
+    return res.status(400).json({
+      error: "Provide host[:port] and either publicKey or a SHA256: fingerprint",
+    });
+  }
+
+  trustHostKey(host, port, { ...entry, source: "admin" });
+  console.log(`Admin: pinned host key for ${getHostKeyId(host, port)} (${entry.fingerprint})`);
+  res.status(200).json({ host: getHostKeyId(host, port), ...knownHosts.get(getHostKeyId(host, port)) });
+});
+
+app.delete("/known-hosts/:hostPort", requireAdminToken, (req, res) => {
+  const [host, port] = req.params.hostPort.split(":");
+  const hostKeyId = getHostKeyId(host, port);
+
+  if (!knownHosts.delete(hostKeyId)) {
+    return res.status(404).json({ error: `No known host entry for ${hostKeyId}` });
+  }
+
+  saveKnownHosts();
+  console.log(`Admin: revoked host key for ${hostKeyId}`);
+  res.status(200).json({ host: hostKeyId, revoked: true });
+});
+
+// Session recordings - list and stream asciicast files for playback
+app.get("/recordings", requireAdminToken, (req, res) => {
+  if (!fs.existsSync(RECORDINGS_DIR)) {
+    return res.status(200).json({ recordings: [] });
+  }
+
+  const recordings = fs
+    .readdirSync(RECORDINGS_DIR)
+    .filter((name) => name.endsWith(".cast"))
+    .map((name) => {
+      const file = path.join(RECORDINGS_DIR, name);
+      const stats = fs.statSync(file);
+      const header = readRecordingHeader(file) || {};
+      const recordingId = name.slice(0, -".cast".length);
+
+      return {
+        recordingId,
+        title: header.title || null,
+        timestamp: header.timestamp || null,
+        width: header.width || null,
+        height: header.height || null,
+        size: stats.size,
+        modified: stats.mtime,
+        active: [...sshConnections.values()].some(
+          (connection) => connection.recording && connection.recording.recordingId === recordingId
+        ),
+      };
+    })
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+  res.status(200).json({ recordings });
+});
+
+app.get("/recordings/:recordingId", requireAdminToken, (req, res) => {
+  const { recordingId } = req.params;
+  const file = path.join(RECORDINGS_DIR, `${recordingId}.cast`);
+
+  if (!RECORDING_ID_PATTERN.test(recordingId) || !fs.existsSync(file)) {
+    return res.status(404).json({ error: "Recording not found" });
+  }
+
+  res.status(200).set({
+    "Content-Type": "application/x-asciicast",
+    "Content-Disposition": `inline; filename="${recordingId}.cast"`,
   });
+  fs.createReadStream(file).pipe(res);
+});
+
+// Metrics history of a live session, for charts that need to backfill
+app.get("/sessions/:sessionId/metrics", requireClientAuth, (req, res) => {
+  const connection = sshConnections.get(req.params.sessionId);
+  if (!connection || !ownsSession(req.user, connection)) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  const { from, to, resolution } = req.query;
+  if (resolution && !METRICS_HISTORY_TIERS[resolution]) {
+    return res.status(400).json({ error: `Unknown resolution: ${resolution}` });
+  }
+
+  res.status(200).json(queryMetricsHistory(connection, { from, to, resolution }));
 });
 
 // Start the server
@@ -1551,12 +6654,10 @@ process.on("SIGINT", () => {
       clearTimeout(connection.hardAuthTimeout);
     }
 
-    if (connection.monitoringTimer) {
-      clearInterval(connection.monitoringTimer);
-    }
+    stopMetricsSampler(connection);
 
     if (connection.highFreqMonitoringTimer) {
-      clearInterval(connection.highFreqMonitoringTimer);
+      clearTimeout(connection.highFreqMonitoringTimer);
     }
 
     if (connection.sshStream && !connection.sshStream.destroyed) {
@@ -1580,87 +6681,3 @@ process.on("SIGINT", () => {
     process.exit(0);
   });
 });
-
-// Validasi kill command dan cek hasilnya
-const processKillCommand = (command, socket, sessionId, connection) => {
-  const killMatch = command.match(/^(sudo\s+)?kill\s+(-[0-9]+)\s+([0-9]+)$/);
-  if (killMatch) {
-    const isSudo = !!killMatch[1];
-    const signal = parseInt(killMatch[2].substring(1));
-    const pid = parseInt(killMatch[3]);
-    
-    console.log(`${socket.id}: Processing kill command for PID ${pid} with signal ${signal}`);
-    
-    cmdQueue.add({
-      connection,
-      command,
-      socket,
-      socketId: socket.id,
-      sessionId,
-      callback: (result) => {
-        if (result.error) {
-          console.error(`${socket.id}: Kill command failed: ${result.error}`);
-          
-          // Check if error suggests permission issues
-          const needsElevation = result.errorOutput && 
-                               (result.errorOutput.includes('Operation not permitted') || 
-                                result.errorOutput.includes('Permission denied'));
-          
-          socket.emit("command-error", {
-            command,
-            error: result.error,
-            needsElevation
-          });
-          
-          // Jika butuh elevasi, beri tahu client
-          if (needsElevation) {
-            socket.emit("ssh-data", `\r\n\x1b[31mError: Need sudo privileges to kill this process.\x1b[0m\r\n`);
-          }
-        } else {
-          console.log(`${socket.id}: Successfully killed process ${pid}`);
-          
-          // Verifikasi process sudah mati
-          cmdQueue.add({
-            connection,
-            command: `ps -p ${pid} > /dev/null 2>&1; echo $?`,
-            socketId: socket.id,
-            sessionId,
-            background: true,
-            callback: (checkResult) => {
-              const isKilled = !checkResult.error && checkResult.output.trim() !== "0";
-              
-              socket.emit("process-killed", { 
-                pid,
-                success: isKilled
-              });
-              
-              if (!isKilled) {
-                socket.emit("ssh-data", `\r\n\x1b[33mWarning: Process ${pid} may still be running.\x1b[0m\r\n`);
-              } else {
-                socket.emit("ssh-data", `\r\n\x1b[32mSuccess: Process ${pid} terminated.\x1b[0m\r\n`);
-              }
-              
-              // Minta refresh data process segera
-              cmdQueue.add({
-                connection,
-                command: "ps aux --sort=-%cpu | head -20",
-                socketId: socket.id,
-                sessionId,
-                background: true,
-                callback: (stats) => {
-                  if (!stats.error) {
-                    socket.emit("process-stats-update", { data: stats.output });
-                  }
-                }
-              });
-            }
-          });
-        }
-      }
-    });
-    
-    return true; // Indicate we've handled this command
-  }
-  
-  return false; // Not a kill command
-};
\ No newline at end of file